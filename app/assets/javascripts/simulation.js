@@ -3,6 +3,8 @@
  * Handles the user interface and animation loop
  */
 
+import { Block, PhysicsEngine } from "simulation/physics_engine";
+
 class PiCollisionSimulation {
   constructor() {
     this.canvas = null;
@@ -79,7 +81,7 @@ class PiCollisionSimulation {
     // Get input values
     const mass1 = parseFloat(this.mass1Input.value) || 1;
     const mass2 = parseFloat(this.mass2Input.value) || 100;
-    const initialVelocity = parseFloat(this.velocityInput.value) || -2;
+    const initialVelocity = parseFloat(this.velocityInput.value) || -100;
     
     // Create blocks
     const blockHeight = 60;
@@ -1,8 +1,76 @@
 import { Controller } from "@hotwired/stimulus"
+import { Block, PhysicsEngine, PiDigits } from "simulation/physics_engine"
+import PhaseSpacePlot from "simulation/phase_space_plot"
+import ConservationChart from "simulation/conservation_chart"
+import EventLog, { historyToCSV, historyToJSON, downloadFile } from "simulation/event_log"
+import { readParams, buildUrl } from "simulation/permalink"
+import BlockEditor, { serializeBlocks, parseBlocks } from "simulation/block_editor"
+import TimeDilation, { formatSpeed } from "simulation/time_dilation"
+import Camera from "simulation/camera"
+import CollisionSound from "simulation/collision_sound"
+import { exportFrames, seededRandom, FORMATS } from "simulation/run_export"
+import MassRatioSweep, { sweepRatios, classicConfig, sweepToCSV, MAX_SWEEP_RUNS } from "simulation/mass_ratio_sweep"
+import SweepChart from "simulation/sweep_chart"
+import { digitsSetup, massInputValue, renderDigitsOptions, MAX_DIGITS } from "simulation/digits_mode"
+import ResultsDialog from "simulation/results_dialog"
+import Announcer from "simulation/announcer"
+import { findShortcut, renderShortcutHelp } from "simulation/keyboard_shortcuts"
+import RunHistory from "simulation/run_history"
+import HistoryPanel from "simulation/history_panel"
+
+// URL parameter -> input target for shareable links. Adding an option to
+// permalinks only takes a new entry here.
+const PERMALINK_PARAMS = {
+  digits: 'digits',
+  m1: 'mass1',
+  m2: 'mass2',
+  v: 'velocity',
+  speed: 'speed',
+  slowmo: 'slowMotion',
+  solver: 'solver',
+  arithmetic: 'arithmetic',
+  boundary: 'boundary',
+  wallv: 'wallVelocity',
+  e: 'blockRestitution',
+  ew: 'wallRestitution',
+  erw: 'rightWallRestitution',
+  mu: 'friction'
+}
+
+// The spring is made just stiff enough that all of the system's kinetic
+// energy compresses it by this many pixels, whatever the masses
+const MAX_SPRING_COMPRESSION = 15
+// Compute Instantly stops a run that never finishes, such as a box's, after
+// this many collisions
+const ENDLESS_COMPUTE_LIMIT = 1000000
+// Wall-clock time each frame may spend resolving collisions; the rest of the
+// 16.7 ms frame is left for drawing. A burst that needs more is spread over
+// several frames instead of stalling the page.
+const PHYSICS_BUDGET_MS = 8
+// How often the canvas's text alternative is rewritten while running
+const SCENE_DESCRIPTION_INTERVAL = 1000 // ms
+// Exports stop at this length of video even if the run is still going, as a
+// box's does forever, and hold the final state for a moment once it is over
+const MAX_EXPORT_SECONDS = 120
+const EXPORT_HOLD_SECONDS = 1
+// Exact fractions gain digits with every collision, so an exact run's cost
+// grows with the square of its count: 1:10⁸'s 31,416 collisions take about
+// 5 s, 1:10¹⁰ several minutes and 1:10¹² most of a day. Runs expected to
+// take longer than EXACT_WARNING_SECONDS say so before they start.
+const EXACT_SECONDS_PER_COLLISION_SQUARED = 5 / 31416 ** 2
+const EXACT_WARNING_SECONDS = 60
 
 export default class extends Controller {
-  static targets = ["canvas", "mass1", "mass2", "velocity", "speed", "startBtn", "pauseBtn", "resetBtn", 
-                   "collisionCount", "wallCollisions", "blockCollisions", "piDigits"]
+  static targets = ["canvas", "phaseCanvas", "digits", "mass1", "mass2", "velocity", "solver", "arithmetic", "boundary", "wallVelocity",
+                   "blockRestitution", "wallRestitution", "rightWallRestitution", "friction", "speed", "slowMotion", "followCamera", "volume", "mute", "startBtn", "pauseBtn", "resetBtn", 
+                   "computeBtn", "cancelBtn", "computeStatus", "copyLinkBtn", "autostart", "customBlocks", "blockEditor",
+                   "timeline", "timelineLabel", "stepBackBtn", "reverseBtn", "stepForwardBtn",
+                   "collisionCount", "predictedCount", "periodStatus", "wallCollisions", "blockCollisions", "energyLost", "piDigits", "chartCanvas", "eventLog",
+                   "exportFormat", "exportFps", "exportOverlays", "exportBtn", "exportStatus",
+                   "sweepSpacing", "sweepFrom", "sweepTo", "sweepRuns", "sweepBtn", "sweepCancelBtn", "sweepCsvBtn", "sweepStatus",
+                   "sweepTable", "sweepCanvas", "resultsDialog", "announcer", "sceneDescription",
+                   "shortcutHelp", "phasePanel", "chartPanel", "logPanel", "exportPanel", "sweepPanel", "historyPanel", "history"]
+  static values = { workerUrl: String, engineUrl: String }
 
   connect() {
     this.canvas = this.canvasTarget
@@ -12,21 +80,74 @@ export default class extends Controller {
     this.isRunning = false
     this.isPaused = false
     this.lastTime = 0
+    this.direction = 1 // -1 while playing the recorded run backwards
     this.completionMessageShown = false
+    this.worker = null
+    this.exportAbort = null
+    this.sweep = null
+    this.sweepRows = []
+    this.sweepChart = new SweepChart(this.sweepCanvasTarget)
+    this.resultsDialog = new ResultsDialog(this.resultsDialogTarget, {
+      onRunAgain: () => this.runAgain(),
+      onNextRatio: () => this.nextRatio()
+    })
+    this.announcer = new Announcer(this.announcerTarget)
+    this.describedAt = -Infinity
+    renderShortcutHelp(this.shortcutHelpTarget)
+    renderDigitsOptions(this.digitsTarget)
+    this.runHistory = new RunHistory()
+    this.historyPanel = new HistoryPanel(this.historyTarget, {
+      onLoad: (run) => this.loadRun(run),
+      onDelete: (id) => {
+        this.runHistory.remove(id)
+        this.historyPanel.render(this.runHistory.runs)
+      },
+      onClear: () => {
+        this.runHistory.clear()
+        this.historyPanel.render(this.runHistory.runs)
+      }
+    })
+    this.historyPanel.render(this.runHistory.runs)
+    this.phasePlot = new PhaseSpacePlot(this.phaseCanvasTarget)
+    this.conservationChart = new ConservationChart(this.chartCanvasTarget)
+    this.eventLog = new EventLog(this.eventLogTarget)
+    this.blockEditor = new BlockEditor(this.blockEditorTarget, { onChange: () => this.updateParameters() })
+    this.timeDilation = new TimeDilation()
+    // Created before the click-to-start handler so a drag can swallow its click
+    this.camera = new Camera(this.canvas, { onChange: () => this.cameraMoved() })
+    this.sound = new CollisionSound()
+    this.updateSound()
     
+    const autostart = this.applyPermalink()
+    this.applyDigitsSetup()
     this.initializeSimulation()
+    this.setInputsDisabled(false)
     this.setupCanvasClickHandler()
+    
+    if (autostart) {
+      this.start()
+    }
   }
 
   disconnect() {
     if (this.animationId) {
       cancelAnimationFrame(this.animationId)
     }
+    if (this.worker) {
+      this.worker.terminate()
+    }
+    if (this.exportAbort) {
+      this.exportAbort.abort()
+    }
+    if (this.sweep) {
+      this.sweep.cancel()
+    }
+    this.sound.close()
   }
 
   setupCanvasClickHandler() {
     this.canvas.addEventListener('click', () => {
-      if (!this.isRunning && !this.isPaused) {
+      if (!this.isRunning && !this.isPaused && !this.exportAbort) {
         this.start()
       }
     })
@@ -39,16 +160,78 @@ export default class extends Controller {
     // Create physics engine
     this.physics = new PhysicsEngine(wallPosition)
     this.physics.timeScale = parseInt(this.speedTarget.value) / 5
+    this.physics.solver = this.solverTarget.value
+    this.physics.frameBudget = PHYSICS_BUDGET_MS
+    this.physics.boundary = this.boundaryTarget.value
+    this.physics.rightWallPosition = this.canvas.width - wallPosition
+    this.physics.wallVelocity = parseFloat(this.wallVelocityTarget.value) || 0
+    this.physics.restitution = this.readCoefficient(this.blockRestitutionTarget)
+    this.physics.wallRestitution = this.readCoefficient(this.wallRestitutionTarget)
+    this.physics.rightWallRestitution = this.readCoefficient(this.rightWallRestitutionTarget)
+    this.physics.friction = Math.max(0, parseFloat(this.frictionTarget.value) || 0)
+    this.physics.onCollisionRecorded = entry => this.sound.play(entry.type)
+    
+    const blockHeight = 60
+    const groundY = canvasHeight - 50 - blockHeight
+    
+    if (this.customBlocksTarget.checked) {
+      this.addCustomBlocks(groundY, blockHeight)
+      this.predictedCount = null
+    } else {
+      this.addClassicBlocks(groundY, blockHeight)
+    }
+    
+    // The arctan prediction assumes a single fixed wall
+    if (this.physics.boundary !== 'wall') {
+      this.predictedCount = null
+    }
+    
+    const energy = this.physics.getKineticEnergy()
+    this.initialEnergy = energy
+    this.physics.springStiffness = energy > 0 ? 2 * energy / MAX_SPRING_COMPRESSION ** 2 : 1
+    
+    // Exact arithmetic is for settling the elastic count; losses make the
+    // velocities depend on float64 time anyway, and a box's endless elastic
+    // collisions would grow the exact fractions without limit
+    if (!this.physics.isConservative() || this.physics.boundary === 'box') {
+      this.arithmeticTarget.value = 'float'
+    }
+    this.physics.setArithmetic(this.arithmeticTarget.value)
+    this.timeDilation.reset()
+    this.camera.reset()
+    this.announcer.reset()
+    this.runTime = 0 // real seconds spent simulating, for the run history
+    this.runRecorded = false
+    this.phasePlot.reset(this.physics)
+    this.conservationChart.reset(this.physics)
+    this.eventLog.reset(this.physics.blocks.length)
+    
+    // The arctan prediction only covers the classic two-block setup
+    if (this.predictedCount === null) {
+      this.predictedCountTarget.textContent = ''
+    } else {
+      const label = this.physics.isConservative() ? 'Predicted' : 'Elastic prediction'
+      this.predictedCountTarget.textContent = `${label}: ${this.predictedCount.toLocaleString()}`
+      const estimate = this.exactArithmeticEstimate()
+      if (estimate) {
+        this.predictedCountTarget.textContent += ` - ${estimate}`
+      }
+    }
+    
+    // Draw initial state
+    this.refresh()
+  }
+
+  // The original setup: a small block at rest by the wall and a large one
+  // coming in from the right
+  addClassicBlocks(groundY, blockHeight) {
+    const wallPosition = this.physics.wallPosition
     
     // Get input values
     const mass1 = parseFloat(this.mass1Target.value) || 1
     const mass2 = parseFloat(this.mass2Target.value) || 100
     const initialVelocity = parseFloat(this.velocityTarget.value) || -100
     
-    // Create blocks
-    const blockHeight = 60
-    const groundY = canvasHeight - 50 - blockHeight
-    
     // Small block (left, stationary)
     const smallBlockWidth = Math.max(30, Math.min(60, mass1 * 10))
     const smallBlock = new Block(
@@ -73,31 +256,109 @@ export default class extends Controller {
       '#e74c3c'
     )
     
-    // Add blocks to physics engine
     this.physics.addBlock(smallBlock)
     this.physics.addBlock(largeBlock)
     
-    // Draw initial state
-    this.draw()
-    this.updateStats()
+    // Predict the count before anything moves
+    this.predictedCount = PhysicsEngine.predictCollisionCount(mass1, mass2, initialVelocity)
+  }
+
+  // Blocks from the editor, left to right. Overlapping blocks are pushed
+  // right until they touch, and nothing may start inside the wall.
+  addCustomBlocks(groundY, blockHeight) {
+    let nextFree = this.physics.wallPosition
+    const specs = this.blockEditor.blocks.sort((a, b) => a.x - b.x)
+    
+    specs.forEach(spec => {
+      const width = Math.max(30, Math.min(120, Math.sqrt(spec.mass) * 8))
+      const x = Math.max(spec.x, nextFree)
+      this.physics.addBlock(new Block(x, groundY, width, blockHeight, spec.mass, spec.velocity, spec.color))
+      nextFree = x + width
+    })
+    
+    // Each row's restitution is with its right-hand neighbour
+    const blocks = this.physics.blocks
+    for (let i = 0; i < blocks.length - 1; i++) {
+      this.physics.setRestitution(blocks[i], blocks[i + 1], specs[i].restitution)
+    }
+  }
+
+  // Coefficients of restitution are clamped to [0, 1]; blank means elastic
+  readCoefficient(input) {
+    const value = parseFloat(input.value)
+    return Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : 1
+  }
+
+  toggleCustomBlocks() {
+    // Start the editor from whatever is on screen, so switching over keeps
+    // the current pair as blocks 1 and 2
+    if (this.customBlocksTarget.checked && this.blockEditor.blocks.length === 0) {
+      this.blockEditor.setBlocks(this.physics.blocks.map(({ mass, x, velocity, color }) => ({
+        mass, x, velocity, color, restitution: this.physics.restitution
+      })))
+    }
+    this.blockEditorTarget.hidden = !this.customBlocksTarget.checked
+    this.updateParameters()
+  }
+
+  // Locks the setup inputs while a run or a computation is in progress.
+  // Inputs that the current setup ignores stay locked as well: the two-block
+  // inputs while the block editor is in use, and wall settings for walls
+  // that are not there.
+  setInputsDisabled(disabled) {
+    const custom = this.customBlocksTarget.checked
+    const boundary = this.boundaryTarget.value
+    const lossy = this.physics !== null && !this.physics.isConservative()
+    // Digits of π mode chooses the whole setup itself
+    const fixed = disabled || this.digitsTarget.value !== ''
+    
+    this.digitsTarget.disabled = disabled
+    this.mass1Target.disabled = fixed || custom
+    this.mass2Target.disabled = fixed || custom
+    this.velocityTarget.disabled = fixed || custom
+    this.blockRestitutionTarget.disabled = fixed || custom
+    this.solverTarget.disabled = fixed
+    this.arithmeticTarget.disabled = fixed || lossy || boundary === 'box'
+    this.boundaryTarget.disabled = fixed
+    this.wallVelocityTarget.disabled = fixed || boundary !== 'moving'
+    this.wallRestitutionTarget.disabled = fixed || boundary === 'none' || boundary === 'spring'
+    this.rightWallRestitutionTarget.disabled = fixed || boundary !== 'box'
+    this.frictionTarget.disabled = fixed
+    this.customBlocksTarget.disabled = fixed
+    this.blockEditor.setDisabled(disabled)
   }
 
   start() {
+    this.direction = 1
+    if (this.isRunning) {
+      // Turning round from playing backwards
+      this.updatePlaybackButtons()
+      return
+    }
+    
+    // Too many collisions to watch; count them in the worker instead
+    if (!this.isPaused && this.digitsSetup()?.compute) {
+      this.computeInstantly()
+      return
+    }
+    
     if (this.isPaused) {
       this.isPaused = false
     } else {
       this.initializeSimulation()
     }
     
+    this.run()
+  }
+
+  run() {
+    this.sound.resume()
     this.isRunning = true
     this.completionMessageShown = false // Reset the flag when starting
-    this.startBtnTarget.disabled = true
-    this.pauseBtnTarget.disabled = false
+    this.updatePlaybackButtons()
     
     // Disable input changes during simulation
-    this.mass1Target.disabled = true
-    this.mass2Target.disabled = true
-    this.velocityTarget.disabled = true
+    this.setInputsDisabled(true)
     
     this.lastTime = performance.now()
     this.animate()
@@ -106,8 +367,8 @@ export default class extends Controller {
   pause() {
     this.isPaused = true
     this.isRunning = false
-    this.startBtnTarget.disabled = false
-    this.pauseBtnTarget.disabled = true
+    this.updatePlaybackButtons()
+    this.sound.silence()
     
     if (this.animationId) {
       cancelAnimationFrame(this.animationId)
@@ -116,36 +377,535 @@ export default class extends Controller {
   }
 
   reset() {
+    if (this.worker) {
+      this.cancelCompute()
+    }
+    
     this.isRunning = false
     this.isPaused = false
     this.completionMessageShown = false // Reset the flag when resetting
+    this.sound.silence()
     
     if (this.animationId) {
       cancelAnimationFrame(this.animationId)
       this.animationId = null
     }
     
-    this.startBtnTarget.disabled = false
-    this.pauseBtnTarget.disabled = true
+    this.updatePlaybackButtons()
     
     // Re-enable inputs
-    this.mass1Target.disabled = false
-    this.mass2Target.disabled = false
-    this.velocityTarget.disabled = false
+    this.setInputsDisabled(false)
     
     this.initializeSimulation()
   }
 
+  updatePlaybackButtons() {
+    this.startBtnTarget.disabled = this.isRunning && this.direction > 0
+    this.reverseBtnTarget.disabled = this.isRunning && this.direction < 0
+    this.pauseBtnTarget.disabled = !this.isRunning
+  }
+
+  // Timeline controls. Each stops on the chosen moment of the recorded run,
+  // as if paused there, so Start carries on from it.
+  scrub() {
+    this.holdTimeline()
+    this.physics.seek(parseFloat(this.timelineTarget.value))
+    this.refresh()
+  }
+
+  stepBack() {
+    this.holdTimeline()
+    this.physics.seekPreviousCollision()
+    this.refresh()
+  }
+
+  stepForward() {
+    this.holdTimeline()
+    this.physics.seekCollision(this.physics.collisionCount + 1)
+    if (!this.physics.isReplaying()) {
+      this.conservationChart.sample()
+    }
+    this.sound.resume()
+    this.sound.flush(0)
+    this.refresh()
+  }
+
+  playBackward() {
+    if (this.physics.time <= this.physics.earliestRecordedTime()) return
+    
+    this.direction = -1
+    if (this.isRunning) {
+      this.updatePlaybackButtons()
+    } else {
+      this.isPaused = false
+      this.run()
+    }
+  }
+
+  holdTimeline() {
+    this.pause()
+    this.setInputsDisabled(true)
+  }
+
+  // Plays the recording backwards by `span` of simulated time, stopping at
+  // the start, or as far back as a long fixed-step run still reaches
+  rewind(span) {
+    const earliest = this.physics.earliestRecordedTime()
+    const time = this.physics.time - span
+    this.physics.seek(Math.max(earliest, time))
+    if (time <= earliest) {
+      this.pause()
+    }
+  }
+
   updateSpeed() {
     if (this.physics) {
       this.physics.timeScale = parseInt(this.speedTarget.value) / 5
     }
+    this.updatePermalink()
+  }
+
+  toggleSlowMotion() {
+    this.timeDilation.reset()
+    if (!this.isRunning) {
+      this.draw()
+    }
+    this.updatePermalink()
+  }
+
+  updateSound() {
+    this.sound.setVolume(parseInt(this.volumeTarget.value) / 100)
+    this.sound.setMuted(this.muteTarget.checked)
+  }
+
+  // Keyboard shortcuts, listened for on the window while this controller is
+  // connected. The results dialog takes every key while it is open, and the
+  // help overlay every key but the one that closes it.
+  handleKey(event) {
+    if (event.defaultPrevented || this.resultsDialogTarget.open) return
+    
+    const shortcut = findShortcut(event)
+    if (!shortcut) return
+    if (this.shortcutHelpTarget.open && shortcut.action !== 'help') return
+    
+    event.preventDefault()
+    switch (shortcut.action) {
+      case 'togglePlay':
+        (this.isRunning ? this.pauseBtnTarget : this.startBtnTarget).click()
+        break
+      case 'press':
+        this[`${shortcut.control}Target`].click()
+        break
+      case 'speed':
+        this.changeSpeed(shortcut.step)
+        break
+      case 'panel':
+        this.togglePanel(shortcut.panel)
+        break
+      case 'help':
+        this.toggleShortcutHelp()
+        break
+    }
+  }
+
+  changeSpeed(step) {
+    if (this.speedTarget.disabled) return
+    
+    if (step > 0) {
+      this.speedTarget.stepUp(step)
+    } else {
+      this.speedTarget.stepDown(-step)
+    }
+    this.updateSpeed()
+  }
+
+  togglePanel(name) {
+    const panel = this[`${name}Target`]
+    panel.hidden = !panel.hidden
+  }
+
+  toggleShortcutHelp() {
+    if (this.shortcutHelpTarget.open) {
+      this.shortcutHelpTarget.close()
+    } else {
+      this.shortcutHelpTarget.showModal()
+    }
+  }
+
+  toggleFollowCamera() {
+    this.camera.follow = this.followCameraTarget.checked
+    if (!this.isRunning) {
+      this.refresh()
+    }
+  }
+
+  // Wheel zoom and drag-to-pan switch follow mode off
+  cameraMoved() {
+    this.followCameraTarget.checked = this.camera.follow
+    if (!this.isRunning) {
+      this.draw()
+    }
+  }
+
+  // The clock rate for the next frame: the speed slider's, or less while
+  // adaptive slow motion is following a burst of collisions
+  clockRate(deltaTime) {
+    return this.slowMotionTarget.checked
+      ? this.timeDilation.update(this.physics, this.physics.timeScale, deltaTime)
+      : this.physics.timeScale
+  }
+
+  selectDigits() {
+    this.computeStatusTarget.textContent = ''
+    this.applyDigitsSetup()
+    this.updateParameters()
+  }
+
+  digitsSetup() {
+    return digitsSetup(parseInt(this.digitsTarget.value))
+  }
+
+  // Puts the chosen number of digits' setup into the inputs, so the rest of
+  // the page reads it as if it had been typed in
+  applyDigitsSetup() {
+    const setup = this.digitsSetup()
+    if (!setup) return
+    
+    this.customBlocksTarget.checked = false
+    this.blockEditorTarget.hidden = true
+    this.mass1Target.value = massInputValue(setup.mass1)
+    this.mass2Target.value = massInputValue(setup.mass2)
+    this.velocityTarget.value = setup.velocity
+    this.solverTarget.value = setup.solver
+    this.arithmeticTarget.value = setup.arithmetic
+    this.boundaryTarget.value = 'wall'
+    this.blockRestitutionTarget.value = 1
+    this.wallRestitutionTarget.value = 1
+    this.frictionTarget.value = 0
+    this.slowMotionTarget.checked = setup.slowMotion
+    this.timeDilation.reset()
+    
+    if (setup.compute) {
+      const collisions = PhysicsEngine.predictCollisionCount(setup.mass1, setup.mass2, setup.velocity)
+      this.computeStatusTarget.textContent =
+        `${collisions.toLocaleString()} collisions are too many to watch, so Start computes them instantly`
+    }
+  }
+
+  // Which of the chosen digits the count got right, for the end of a run in
+  // digits of π mode
+  describeDigitsReproduced(collisions) {
+    const digits = parseInt(this.digitsTarget.value)
+    const { matching } = this.physics.matchPiDigits(collisions)
+    const reproduced = PiDigits.format(PiDigits.first(matching))
+    if (matching === digits) {
+      return `All ${digits} digits of π reproduced: ${reproduced}`
+    }
+    return matching > 0
+      ? `Only ${matching} of ${digits} digits of π reproduced: ${reproduced}`
+      : `None of the ${digits} digits of π reproduced`
   }
 
   updateParameters() {
     if (!this.isRunning) {
       this.initializeSimulation()
+      this.setInputsDisabled(false)
+    }
+    this.updatePermalink()
+  }
+
+  // Fills the inputs from the URL; returns whether the link asks to auto-start
+  applyPermalink() {
+    const params = readParams()
+    this.applySettings(params)
+    return params.get('autostart') === '1'
+  }
+
+  // Sets the inputs from permalink parameters, as found in a link or saved
+  // with a run in the history
+  applySettings(params) {
+    Object.entries(PERMALINK_PARAMS).forEach(([param, target]) => {
+      if (!params.has(param)) return
+      
+      const input = this[`${target}Target`]
+      const value = params.get(param)
+      
+      if (input.type === 'checkbox') {
+        input.checked = value === '1'
+        return
+      }
+      
+      // Ignore values a select doesn't offer rather than blanking it
+      if (input.options && ![...input.options].some(option => option.value === value)) return
+      input.value = value
+    })
+    
+    // A block list switches to the editor with exactly those blocks
+    const blocks = params.has('blocks') ? parseBlocks(params.get('blocks')) : null
+    this.customBlocksTarget.checked = blocks !== null
+    this.blockEditorTarget.hidden = blocks === null
+    if (blocks) {
+      this.blockEditor.setBlocks(blocks)
+    }
+  }
+
+  permalinkValues() {
+    const values = {}
+    Object.entries(PERMALINK_PARAMS).forEach(([param, target]) => {
+      const input = this[`${target}Target`]
+      values[param] = input.type === 'checkbox' ? (input.checked ? '1' : '0') : input.value
+    })
+    if (this.customBlocksTarget.checked) {
+      values.blocks = serializeBlocks(this.blockEditor.blocks)
+    }
+    return values
+  }
+
+  updatePermalink() {
+    history.replaceState(history.state, '', buildUrl(this.permalinkValues()))
+  }
+
+  async copyLink() {
+    const values = this.permalinkValues()
+    if (this.autostartTarget.checked) {
+      values.autostart = '1'
+    }
+    const url = buildUrl(values)
+    
+    try {
+      await navigator.clipboard.writeText(url)
+      this.copyLinkBtnTarget.textContent = 'Copied!'
+      setTimeout(() => {
+        this.copyLinkBtnTarget.textContent = 'Copy Link'
+      }, 1500)
+    } catch {
+      // Clipboard access can be refused; let the user copy it by hand
+      prompt('Copy this link:', url)
+    }
+  }
+
+  // Runs the current setup headless in a Web Worker and reports only the
+  // counts, so huge mass ratios finish without animating every collision
+  computeInstantly() {
+    if (this.worker) return
+    
+    this.reset()
+    
+    const config = {
+      wallPosition: this.physics.wallPosition,
+      boundary: this.physics.boundary,
+      rightWallPosition: this.physics.rightWallPosition,
+      wallVelocity: this.physics.wallVelocity,
+      springStiffness: this.physics.springStiffness,
+      restitution: this.physics.restitution,
+      pairRestitution: [...this.physics.pairRestitution],
+      wallRestitution: this.physics.wallRestitution,
+      rightWallRestitution: this.physics.rightWallRestitution,
+      friction: this.physics.friction,
+      maxCollisions: this.physics.runsForever() ? ENDLESS_COMPUTE_LIMIT : Infinity,
+      arithmetic: this.physics.arithmetic,
+      blocks: this.physics.blocks.map(block => ({
+        x: block.x,
+        width: block.width,
+        mass: block.mass,
+        velocity: block.velocity
+      }))
+    }
+    
+    this.worker = new Worker(this.workerUrlValue, { type: 'module' })
+    this.worker.onmessage = (event) => this.handleWorkerMessage(event.data)
+    this.worker.onerror = (error) => {
+      this.stopWorker()
+      this.computeStatusTarget.textContent = `Computation failed: ${error.message}`
+    }
+    const engineUrl = new URL(this.engineUrlValue, window.location.href).href
+    this.worker.postMessage({ type: 'run', engineUrl, config })
+    
+    this.setComputing(true)
+    this.computeStatusTarget.textContent = 'Computing...'
+    const estimate = this.exactArithmeticEstimate()
+    if (estimate) {
+      this.computeStatusTarget.textContent += ` ${estimate}`
+    }
+  }
+
+  cancelCompute() {
+    if (!this.worker) return
+    
+    this.stopWorker()
+    this.computeStatusTarget.textContent = 'Computation cancelled'
+  }
+
+  stopWorker() {
+    this.worker.terminate()
+    this.worker = null
+    this.setComputing(false)
+  }
+
+  setComputing(computing) {
+    this.computeBtnTarget.disabled = computing
+    this.cancelBtnTarget.disabled = !computing
+    this.startBtnTarget.disabled = computing
+    this.reverseBtnTarget.disabled = computing
+    this.stepBackBtnTarget.disabled = computing
+    this.stepForwardBtnTarget.disabled = computing
+    this.timelineTarget.disabled = computing
+    this.setInputsDisabled(computing)
+  }
+
+  handleWorkerMessage(message) {
+    if (message.type === 'error') {
+      this.stopWorker()
+      this.computeStatusTarget.textContent = `Computation failed: ${message.message}`
+      return
+    }
+    
+    this.renderCounts(message)
+    
+    const collisions = message.collisionCount.toLocaleString()
+    const seconds = (message.elapsed / 1000).toFixed(2)
+    
+    if (message.type === 'progress') {
+      this.computeStatusTarget.textContent = `Computing... ${collisions} collisions so far (${seconds}s)`
+      this.announcer.collisions(message.collisionCount)
+    } else if (message.type === 'result') {
+      this.stopWorker()
+      this.computeStatusTarget.textContent = this.physics.runsForever()
+        ? `Stopped after ${collisions} collisions in ${seconds}s; this setup never runs out of collisions`
+        : `Computed ${collisions} collisions in ${seconds}s`
+      if (this.predictedCount !== null) {
+        this.computeStatusTarget.textContent += ` (predicted ${this.predictedCount.toLocaleString()})`
+      }
+      if (this.physics.arithmetic === 'exact') {
+        this.computeStatusTarget.textContent += ` - ${this.describeFloatDivergence(message.floatDivergence)}`
+      }
+      if (this.digitsSetup()) {
+        this.computeStatusTarget.textContent += ` - ${this.describeDigitsReproduced(message.collisionCount)}`
+      }
+      this.announcer.announce(this.computeStatusTarget.textContent)
+      this.recordRun('computed', message)
+    }
+  }
+
+  // Runs the classic experiment headless for every ratio in the sweep, with
+  // the small mass, velocity and arithmetic from the inputs above
+  async runSweep() {
+    if (this.sweep) return
+    
+    const ratios = sweepRatios({
+      spacing: this.sweepSpacingTarget.value,
+      from: parseFloat(this.sweepFromTarget.value),
+      to: parseFloat(this.sweepToTarget.value),
+      runs: parseInt(this.sweepRunsTarget.value)
+    })
+    if (!ratios) {
+      this.sweepStatusTarget.textContent = `Choose ratios above 0 with From no larger than To, and 1 to ${MAX_SWEEP_RUNS} runs`
+      return
+    }
+    
+    const mass1 = parseFloat(this.mass1Target.value) || 1
+    const velocity = parseFloat(this.velocityTarget.value) || -100
+    const arithmetic = this.arithmeticTarget.value
+    this.sweepRows = ratios.map(ratio => ({
+      ratio: ratio,
+      mass1: mass1,
+      mass2: mass1 * ratio,
+      predicted: PhysicsEngine.predictCollisionCount(mass1, mass1 * ratio, velocity),
+      collisions: null,
+      runtime: null
+    }))
+    this.renderSweep()
+    
+    const engineUrl = new URL(this.engineUrlValue, window.location.href).href
+    this.sweep = new MassRatioSweep(this.workerUrlValue, engineUrl)
+    this.setSweeping(true)
+    this.sweepStatusTarget.textContent = `Running 1 of ${ratios.length}...`
+    
+    try {
+      const configs = this.sweepRows.map(row => classicConfig(row.mass1, row.mass2, velocity, arithmetic))
+      await this.sweep.run(configs, (i, message) => {
+        this.sweepRows[i].collisions = message.collisionCount
+        this.sweepRows[i].runtime = message.elapsed
+        this.renderSweep()
+        if (i + 1 < ratios.length) {
+          this.sweepStatusTarget.textContent = `Running ${i + 2} of ${ratios.length}...`
+        }
+      })
+      const total = this.sweepRows.reduce((sum, row) => sum + row.runtime, 0)
+      this.sweepStatusTarget.textContent = `Swept ${ratios.length} ratios in ${(total / 1000).toFixed(2)}s`
+    } catch (error) {
+      this.sweepStatusTarget.textContent = error.name === 'AbortError' ? 'Sweep cancelled' : `Sweep failed: ${error.message}`
+    } finally {
+      this.sweep = null
+      this.setSweeping(false)
+    }
+  }
+
+  cancelSweep() {
+    if (this.sweep) {
+      this.sweep.cancel()
+    }
+  }
+
+  setSweeping(sweeping) {
+    this.sweepBtnTarget.disabled = sweeping
+    this.sweepCancelBtnTarget.disabled = !sweeping
+    this.sweepCsvBtnTarget.disabled = !this.sweepRows.some(row => row.collisions !== null)
+  }
+
+  exportSweepCsv() {
+    downloadFile('pi-collisions-sweep.csv', sweepToCSV(this.sweepRows), 'text/csv')
+  }
+
+  // One table row per ratio, filled in as its run finishes, and the chart
+  renderSweep() {
+    const header = document.createElement('tr')
+    header.append(...['m₂/m₁', 'Collisions', 'Predicted', 'Runtime'].map(text => this.sweepCell('th', text)))
+    
+    const rows = this.sweepRows.map(row => {
+      const tr = document.createElement('tr')
+      const finished = row.collisions !== null
+      tr.append(
+        this.sweepCell('td', Block.formatMass(row.ratio)),
+        this.sweepCell('td', finished ? row.collisions.toLocaleString() : '…'),
+        this.sweepCell('td', row.predicted.toLocaleString()),
+        this.sweepCell('td', finished ? `${row.runtime.toFixed(0)} ms` : '')
+      )
+      if (finished && row.collisions !== row.predicted) {
+        tr.className = 'sweep-mismatch'
+      }
+      return tr
+    })
+    
+    this.sweepTableTarget.replaceChildren(header, ...rows)
+    this.sweepChart.draw(this.sweepRows)
+  }
+
+  sweepCell(tag, text) {
+    const cell = document.createElement(tag)
+    cell.textContent = text
+    return cell
+  }
+
+  // A rough wall-clock estimate for an exact run of the predicted length,
+  // or null when it is float64 or quick enough not to mention
+  exactArithmeticEstimate() {
+    if (this.physics.arithmetic !== 'exact' || this.predictedCount === null) return null
+    
+    const seconds = EXACT_SECONDS_PER_COLLISION_SQUARED * this.predictedCount ** 2
+    if (seconds < EXACT_WARNING_SECONDS) return null
+    
+    const duration = seconds < 7200 ? `${Math.round(seconds / 60)} minutes`
+      : seconds < 172800 ? `${Math.round(seconds / 3600)} hours`
+      : `${Math.round(seconds / 86400).toLocaleString()} days`
+    return `exact arithmetic will take roughly ${duration}; Float64 is far faster`
+  }
+
+  describeFloatDivergence(divergence) {
+    if (!divergence) {
+      return 'float64 agreed with exact arithmetic throughout'
     }
+    return `float64 first diverged from exact arithmetic at collision ${divergence.collision.toLocaleString()}`
   }
 
   animate(currentTime = 0) {
@@ -154,18 +914,37 @@ export default class extends Controller {
     const deltaTime = (currentTime - this.lastTime) / 1000
     this.lastTime = currentTime
     
-    // Update physics
+    // Update physics, or play back what has already been simulated
     if (deltaTime > 0 && deltaTime < 0.1) {
-      this.physics.update(deltaTime)
+      const rate = this.clockRate(deltaTime)
+      const span = deltaTime * rate
+      if (this.direction < 0) {
+        this.rewind(span)
+      } else if (this.physics.isReplaying()) {
+        this.physics.seek(this.physics.time + span)
+      } else {
+        this.physics.update(deltaTime, rate)
+        this.runTime += deltaTime
+        this.conservationChart.sample()
+      }
+      this.sound.flush(deltaTime)
     }
     
     // Draw everything
-    this.draw()
-    this.updateStats()
+    this.refresh(Math.max(0, Math.min(deltaTime, 0.1)))
     
     // Check if simulation is complete
-    if (this.physics.isSimulationComplete() && this.physics.collisionCount > 0 && this.isRunning && !this.completionMessageShown) {
-      this.completionMessageShown = true // Set flag to prevent multiple alerts
+    const live = !this.physics.isReplaying() && this.direction > 0
+    if (live && this.physics.isSimulationComplete() && this.physics.collisionCount > 0 && this.isRunning && !this.completionMessageShown) {
+      this.completionMessageShown = true // Set flag to prevent multiple dialogs
+      this.recordRun('animated', {
+        collisionCount: this.physics.collisionCount,
+        wallCollisions: this.physics.wallCollisions,
+        blockCollisions: this.physics.blockCollisions,
+        energyLost: this.physics.getEnergyLost(),
+        simulationTime: this.physics.time,
+        elapsed: this.runTime * 1000
+      })
       setTimeout(() => {
         if (this.isRunning) { // Double check we're still running
           this.pause()
@@ -177,8 +956,21 @@ export default class extends Controller {
     this.animationId = requestAnimationFrame((time) => this.animate(time))
   }
 
+  refresh(deltaTime = null) {
+    this.camera.update(this.physics, deltaTime)
+    this.draw()
+    this.updateStats()
+  }
+
   draw() {
-    this.physics.draw(this.ctx, this.canvas.width, this.canvas.height)
+    this.physics.draw(this.ctx, this.canvas.width, this.canvas.height, this.camera)
+    this.camera.drawIndicators(this.ctx, this.physics.blocks)
+    this.phasePlot.draw()
+    this.conservationChart.draw()
+    
+    if (this.slowMotionTarget.checked) {
+      this.drawSpeedIndicator()
+    }
     
     // Draw instructions if not running
     if (!this.isRunning && !this.isPaused) {
@@ -186,6 +978,17 @@ export default class extends Controller {
     }
   }
 
+  // Effective clock rate in the top right corner of the canvas
+  drawSpeedIndicator() {
+    const rate = this.timeDilation.scale ?? this.physics.timeScale
+    const slowed = rate < this.physics.timeScale
+    
+    this.ctx.font = 'bold 16px monospace'
+    this.ctx.textAlign = 'right'
+    this.ctx.fillStyle = slowed ? '#c0392b' : 'rgba(0, 0, 0, 0.6)'
+    this.ctx.fillText(formatSpeed(rate), this.canvas.width - 15, 25)
+  }
+
   drawInstructions() {
     this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)'
     this.ctx.fillRect(this.canvas.width / 2 - 150, this.canvas.height / 2 - 40, 300, 80)
@@ -202,357 +1005,345 @@ export default class extends Controller {
   updateStats() {
     if (!this.physics) return
     
-    this.collisionCountTarget.textContent = this.physics.collisionCount
-    this.wallCollisionsTarget.textContent = this.physics.wallCollisions
-    this.blockCollisionsTarget.textContent = this.physics.blockCollisions
+    this.renderCounts(this.physics)
+    this.eventLog.update(this.physics.collisionHistory)
+    this.updateTimeline()
+    this.describeScene()
     
-    // Update Pi approximation
-    const piApprox = this.physics.getDigitsOfPi(this.physics.collisionCount)
-    this.piDigitsTarget.textContent = piApprox
-    
-    // Highlight if we're getting close to a known Pi milestone
-    const knownMilestones = [31, 314, 3141, 31415, 314159]
-    if (knownMilestones.includes(this.physics.collisionCount)) {
-      this.piDigitsTarget.style.animation = 'pulse 1s infinite'
-    } else {
-      this.piDigitsTarget.style.animation = 'none'
+    // Only new collisions are news; scrubbing back over old ones is not
+    if (!this.physics.isReplaying()) {
+      this.announcer.collisions(this.physics.collisionCount)
     }
   }
 
-  showCompletionMessage() {
-    const collisions = this.physics.collisionCount
-    const piStr = Math.PI.toString()
-    let message = `Simulation Complete!\n\nTotal Collisions: ${collisions}\n`
-    
-    // Check if this matches known Pi digits
-    const collisionStr = collisions.toString()
-    if (piStr.includes(collisionStr)) {
-      const piDigits = this.physics.getDigitsOfPi(collisions)
-      message += `This gives us π ≈ ${piDigits}!\n\n`
-      
-      if (collisionStr.length >= 4) {
-        message += `Congratulations! You've discovered ${collisionStr.length} digits of π through collisions!`
-      } else {
-        message += `Try a mass ratio that's a power of 100 (like 1:10000) for more π digits!`
-      }
-    } else {
-      message += `Try adjusting the mass ratio to a power of 100 (1, 100, 10000, etc.) to see π emerge!`
-    }
+  // The canvas's text alternative, rewritten at most once a second while
+  // running so a screen reader reading it is not interrupted every frame
+  describeScene() {
+    const now = performance.now()
+    if (this.isRunning && now - this.describedAt < SCENE_DESCRIPTION_INTERVAL) return
     
-    alert(message)
+    this.describedAt = now
+    this.sceneDescriptionTarget.textContent = this.physics.describe()
   }
-}
 
-// Physics Engine Classes (included here for simplicity)
-class Block {
-  constructor(x, y, width, height, mass, velocity = 0, color = '#333') {
-    this.x = x
-    this.y = y
-    this.width = width
-    this.height = height
-    this.mass = mass
-    this.velocity = velocity
-    this.color = color
-    this.originalX = x
-    this.originalVelocity = velocity
-  }
-
-  update(deltaTime) {
-    this.x += this.velocity * deltaTime
-  }
-
-  draw(ctx) {
-    // Draw the block with a gradient and shadow effect
-    const gradient = ctx.createLinearGradient(this.x, this.y, this.x, this.y + this.height)
-    gradient.addColorStop(0, this.color)
-    gradient.addColorStop(1, this.darkenColor(this.color, 0.3))
-    
-    // Shadow
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.2)'
-    ctx.fillRect(this.x + 3, this.y + 3, this.width, this.height)
-    
-    // Main block
-    ctx.fillStyle = gradient
-    ctx.fillRect(this.x, this.y, this.width, this.height)
-    
-    // Border
-    ctx.strokeStyle = this.darkenColor(this.color, 0.5)
-    ctx.lineWidth = 2
-    ctx.strokeRect(this.x, this.y, this.width, this.height)
-    
-    // Mass label
-    ctx.fillStyle = 'white'
-    ctx.font = 'bold 14px Arial'
-    ctx.textAlign = 'center'
-    ctx.fillText(
-      `m=${this.mass}`,
-      this.x + this.width / 2,
-      this.y + this.height / 2 + 5
-    )
-    
-    // Velocity arrow
-    if (Math.abs(this.velocity) > 0.01) {
-      this.drawVelocityArrow(ctx)
-    }
-  }
-
-  drawVelocityArrow(ctx) {
-    const centerX = this.x + this.width / 2
-    const centerY = this.y - 20
-    const arrowLength = Math.min(Math.abs(this.velocity) * 20, 50)
-    const direction = this.velocity > 0 ? 1 : -1
-    
-    ctx.strokeStyle = '#ff4757'
-    ctx.lineWidth = 3
-    ctx.beginPath()
-    ctx.moveTo(centerX, centerY)
-    ctx.lineTo(centerX + direction * arrowLength, centerY)
-    ctx.stroke()
-    
-    // Arrow head
-    ctx.fillStyle = '#ff4757'
-    ctx.beginPath()
-    ctx.moveTo(centerX + direction * arrowLength, centerY)
-    ctx.lineTo(centerX + direction * (arrowLength - 8), centerY - 4)
-    ctx.lineTo(centerX + direction * (arrowLength - 8), centerY + 4)
-    ctx.closePath()
-    ctx.fill()
-    
-    // Velocity label
-    ctx.fillStyle = '#ff4757'
-    ctx.font = 'bold 12px Arial'
-    ctx.textAlign = 'center'
-    ctx.fillText(
-      `v=${this.velocity.toFixed(2)}`,
-      centerX + direction * arrowLength / 2,
-      centerY - 8
-    )
+  updateTimeline() {
+    const end = this.physics.recordedTime()
+    this.timelineTarget.min = this.physics.earliestRecordedTime()
+    this.timelineTarget.max = end
+    this.timelineTarget.value = this.physics.time
+    this.timelineLabelTarget.textContent = `t = ${this.physics.time.toFixed(3)} s of ${end.toFixed(3)} s · ` +
+      `collision ${this.physics.collisionCount.toLocaleString()} of ${this.physics.recordedCollisions().toLocaleString()}`
   }
 
-  darkenColor(color, factor) {
-    if (color.startsWith('#')) {
-      const r = parseInt(color.slice(1, 3), 16)
-      const g = parseInt(color.slice(3, 5), 16)
-      const b = parseInt(color.slice(5, 7), 16)
-      return `rgb(${Math.floor(r * (1 - factor))}, ${Math.floor(g * (1 - factor))}, ${Math.floor(b * (1 - factor))})`
+  renderCounts({ collisionCount, wallCollisions, blockCollisions, recurrences, period, energyLost }) {
+    this.collisionCountTarget.textContent = collisionCount
+    this.wallCollisionsTarget.textContent = wallCollisions
+    this.blockCollisionsTarget.textContent = blockCollisions
+    this.renderPeriod(recurrences, period)
+    this.renderEnergyLost(energyLost ?? this.physics.getEnergyLost())
+    
+    // The digits only change with the count, so skip rebuilding them otherwise
+    if (collisionCount === this.renderedCount) return
+    this.renderedCount = collisionCount
+    
+    // Update Pi approximation
+    const match = this.physics.matchPiDigits(collisionCount)
+    this.renderPiDigits(match)
+    
+    // Highlight when every digit so far agrees with π
+    if (match.digits.length > 1 && match.matching === match.digits.length) {
+      this.piDigitsTarget.style.animation = 'pulse 1s infinite'
+    } else {
+      this.piDigitsTarget.style.animation = 'none'
     }
-    return color
   }
 
-  reset() {
-    this.x = this.originalX
-    this.velocity = this.originalVelocity
+  // A run that never finishes has no final count; for a box, report how
+  // often the starting velocities have come back instead
+  renderPeriod(recurrences, period) {
+    if (!this.physics.runsForever()) {
+      this.periodStatusTarget.textContent = ''
+    } else if (this.physics.boundary !== 'box') {
+      this.periodStatusTarget.textContent = 'Runs forever · friction keeps letting the moving wall catch up with the blocks'
+    } else if (period === null) {
+      this.periodStatusTarget.textContent = 'Runs forever · starting velocities not seen again yet'
+    } else {
+      this.periodStatusTarget.textContent =
+        `Runs forever · period ${period.toLocaleString()} collisions · ${recurrences.toLocaleString()} cycles`
+    }
   }
 
-  getRight() {
-    return this.x + this.width
+  // As a share of the kinetic energy the run started with
+  renderEnergyLost(energyLost) {
+    const share = this.initialEnergy > 0 ? energyLost / this.initialEnergy : 0
+    this.energyLostTarget.textContent = `${(share * 100).toFixed(share > 0 && share < 0.001 ? 4 : 1)}%`
   }
 
-  getLeft() {
-    return this.x
+  // Shows the count as a π approximation, matching digits in one style and
+  // the first mismatch onwards in another
+  renderPiDigits({ digits, pi, matching }) {
+    const approximation = PiDigits.format(digits)
+    const split = matching === 0 ? 0 : matching + (digits.length > 1 ? 1 : 0)
+    
+    const matched = document.createElement('span')
+    matched.className = 'pi-match'
+    matched.textContent = approximation.slice(0, split)
+    
+    const mismatched = document.createElement('span')
+    mismatched.className = 'pi-mismatch'
+    mismatched.textContent = approximation.slice(split)
+    
+    this.piDigitsTarget.replaceChildren(matched, mismatched)
+    this.piDigitsTarget.title = `π = ${PiDigits.format(pi)}...`
   }
 
-  getCenter() {
-    return this.x + this.width / 2
+  // Saves a finished run to the history, once per run however often its end
+  // is replayed. counts has the fields of a collision worker result.
+  recordRun(mode, { collisionCount, wallCollisions, blockCollisions, energyLost, simulationTime, elapsed }) {
+    if (this.runRecorded) return
+    this.runRecorded = true
+    
+    const match = this.predictedCount === null ? null : this.physics.matchPiDigits(collisionCount)
+    this.runHistory.add({
+      settings: this.permalinkValues(),
+      label: this.physics.blocks.map(block => Block.formatMass(block.mass)).join(' : '),
+      boundary: this.physics.boundary,
+      solver: this.physics.solver,
+      arithmetic: this.physics.arithmetic,
+      mode: mode,
+      collisionCount: collisionCount,
+      wallCollisions: wallCollisions,
+      blockCollisions: blockCollisions,
+      energyLost: this.initialEnergy > 0 ? energyLost / this.initialEnergy : 0,
+      predicted: this.predictedCount,
+      pi: match && { digits: match.digits, matching: match.matching },
+      simulatedTime: simulationTime,
+      runTime: elapsed
+    })
+    this.historyPanel.render(this.runHistory.runs)
   }
-}
 
-class PhysicsEngine {
-  constructor(wallPosition = 0) {
-    this.wallPosition = wallPosition
-    this.blocks = []
-    this.collisionCount = 0
-    this.wallCollisions = 0
-    this.blockCollisions = 0
-    this.timeScale = 1
-    this.collisionHistory = []
+  // Puts a saved run's setup back into the inputs, ready to start again
+  loadRun(run) {
+    if (this.exportAbort) return
+    
+    this.applySettings(new URLSearchParams(run.settings))
+    this.applyDigitsSetup()
+    this.reset()
+    this.updatePermalink()
   }
 
-  addBlock(block) {
-    this.blocks.push(block)
+  exportCsv() {
+    downloadFile(`${this.exportName()}.csv`, historyToCSV(this.physics.collisionHistory), 'text/csv')
   }
 
-  reset() {
-    this.collisionCount = 0
-    this.wallCollisions = 0
-    this.blockCollisions = 0
-    this.collisionHistory = []
-    this.blocks.forEach(block => block.reset())
+  exportJson() {
+    downloadFile(`${this.exportName()}.json`, historyToJSON(this.physics.collisionHistory), 'application/json')
   }
 
-  update(deltaTime) {
-    const scaledDeltaTime = deltaTime * this.timeScale
-    
-    // Update positions
-    this.blocks.forEach(block => {
-      block.update(scaledDeltaTime)
-    })
-
-    // Check for collisions
-    this.checkWallCollisions()
-    this.checkBlockCollisions()
-  }
-
-  checkWallCollisions() {
-    this.blocks.forEach(block => {
-      if (block.getLeft() <= this.wallPosition && block.velocity < 0) {
-        // Collision with wall - perfectly elastic
-        block.velocity = -block.velocity
-        block.x = this.wallPosition // Ensure block doesn't penetrate wall
-        
-        this.collisionCount++
-        this.wallCollisions++
-        this.recordCollision('wall', block)
-      }
-    })
+  exportName() {
+    const masses = this.physics.blocks.map(block => block.mass).join('x')
+    return `pi-collisions-${masses}`
   }
 
-  checkBlockCollisions() {
-    for (let i = 0; i < this.blocks.length; i++) {
-      for (let j = i + 1; j < this.blocks.length; j++) {
-        const block1 = this.blocks[i]
-        const block2 = this.blocks[j]
-        
-        if (this.areColliding(block1, block2)) {
-          this.resolveElasticCollision(block1, block2)
-          this.collisionCount++
-          this.blockCollisions++
-          this.recordCollision('blocks', block1, block2)
+  // Replays the current setup from the start into a video or PNG frames.
+  // Every frame advances the simulation by the same 1/fps seconds of clock
+  // time, and sparks run off the frame count and a fixed seed, so an export
+  // comes out the same however long each frame takes to draw. Pressing the
+  // button again while one is running cancels it.
+  async exportRun() {
+    if (this.exportAbort) {
+      this.exportAbort.abort()
+      return
+    }
+    
+    this.reset()
+    const format = this.exportFormatTarget.value
+    const fps = parseInt(this.exportFpsTarget.value)
+    const overlays = this.exportOverlaysTarget.checked
+    const deltaTime = 1 / fps
+    let frame = 0
+    let holdFrames = Math.round(EXPORT_HOLD_SECONDS * fps)
+    
+    this.physics.frameBudget = Infinity
+    this.physics.clock = () => frame * 1000 / fps
+    this.physics.random = seededRandom(1)
+    this.exportAbort = new AbortController()
+    this.setExporting(true)
+    
+    try {
+      const { blob, frames } = await exportFrames(this.canvas, {
+        format,
+        fps,
+        maxFrames: MAX_EXPORT_SECONDS * fps,
+        signal: this.exportAbort.signal,
+        render: (n) => {
+          frame = n
+          this.renderExportFrame(n === 0 ? 0 : deltaTime, overlays)
+        },
+        done: () => this.physics.isSimulationComplete() && this.physics.collisionCount > 0 && holdFrames-- <= 0,
+        onProgress: (n) => {
+          this.exportStatusTarget.textContent = `Exporting... frame ${n.toLocaleString()} (${(n / fps).toFixed(1)} s)`
         }
-      }
+      })
+      downloadFile(`${this.exportName()}.${FORMATS[format].extension}`, blob, FORMATS[format].type)
+      this.exportStatusTarget.textContent = `Exported ${frames.toLocaleString()} frames (${(frames / fps).toFixed(1)} s at ${fps} fps)`
+    } catch (error) {
+      this.exportStatusTarget.textContent = error.name === 'AbortError' ? 'Export cancelled' : `Export failed: ${error.message}`
+    } finally {
+      this.exportAbort = null
+      this.setExporting(false)
+      this.reset()
     }
   }
 
-  areColliding(block1, block2) {
-    return (block1.getRight() >= block2.getLeft() && 
-            block1.getLeft() <= block2.getRight()) &&
-           ((block1.velocity > 0 && block2.velocity < block1.velocity) ||
-            (block2.velocity < 0 && block1.velocity > block2.velocity) ||
-            (block1.velocity > 0 && block2.velocity <= 0) ||
-            (block1.velocity <= 0 && block2.velocity > 0))
+  setExporting(exporting) {
+    this.setComputing(exporting)
+    this.cancelBtnTarget.disabled = true // only cancels Compute Instantly
+    this.resetBtnTarget.disabled = exporting
+    this.exportBtnTarget.textContent = exporting ? 'Cancel Export' : 'Export Run'
   }
 
-  resolveElasticCollision(block1, block2) {
-    // Perfectly elastic collision in 1D
-    const m1 = block1.mass
-    const m2 = block2.mass
-    const v1 = block1.velocity
-    const v2 = block2.velocity
-
-    // Calculate new velocities using conservation of momentum and energy
-    const newV1 = ((m1 - m2) * v1 + 2 * m2 * v2) / (m1 + m2)
-    const newV2 = ((m2 - m1) * v2 + 2 * m1 * v1) / (m1 + m2)
-
-    block1.velocity = newV1
-    block2.velocity = newV2
-
-    // Separate blocks to prevent multiple collision detection
-    const overlap = block1.getRight() - block2.getLeft()
-    if (overlap > 0) {
-      const totalMass = m1 + m2
-      block1.x -= overlap * (m2 / totalMass)
-      block2.x += overlap * (m1 / totalMass)
+  // One frame of an export: the main canvas only, with the collision count
+  // and π digits burned in if asked for
+  renderExportFrame(deltaTime, overlays) {
+    if (deltaTime > 0) {
+      this.physics.update(deltaTime, this.clockRate(deltaTime))
+      this.sound.silence()
     }
+    
+    this.camera.update(this.physics, deltaTime)
+    this.physics.draw(this.ctx, this.canvas.width, this.canvas.height, this.camera)
+    this.camera.drawIndicators(this.ctx, this.physics.blocks)
+    if (this.slowMotionTarget.checked) {
+      this.drawSpeedIndicator()
+    }
+    if (overlays) {
+      this.drawCountOverlay()
+    }
+    this.updateStats()
   }
 
-  recordCollision(type, block1, block2 = null) {
-    this.collisionHistory.push({
-      type: type,
-      time: Date.now(),
-      block1: { mass: block1.mass, velocity: block1.velocity },
-      block2: block2 ? { mass: block2.mass, velocity: block2.velocity } : null
-    })
+  // Collision count and π approximation in the top left corner of the canvas
+  drawCountOverlay() {
+    const count = this.physics.collisionCount
+    const lines = [`Collisions: ${count.toLocaleString()}`]
+    if (this.predictedCount !== null) {
+      lines.push(`π ≈ ${PiDigits.format(this.physics.matchPiDigits(count).digits)}`)
+    }
+    
+    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)'
+    this.ctx.fillRect(10, 10, 220, 12 + 22 * lines.length)
+    
+    this.ctx.fillStyle = 'white'
+    this.ctx.font = 'bold 16px monospace'
+    this.ctx.textAlign = 'left'
+    lines.forEach((line, i) => this.ctx.fillText(line, 20, 32 + 22 * i))
   }
 
-  draw(ctx, canvasWidth, canvasHeight) {
-    // Clear canvas
-    ctx.clearRect(0, 0, canvasWidth, canvasHeight)
-    
-    // Draw background gradient
-    const gradient = ctx.createLinearGradient(0, 0, 0, canvasHeight)
-    gradient.addColorStop(0, '#87CEEB')
-    gradient.addColorStop(1, '#E0F6FF')
-    ctx.fillStyle = gradient
-    ctx.fillRect(0, 0, canvasWidth, canvasHeight)
-    
-    // Draw ground
-    ctx.fillStyle = '#8B4513'
-    ctx.fillRect(0, canvasHeight - 50, canvasWidth, 50)
-    
-    // Draw wall
-    ctx.fillStyle = '#696969'
-    const wallWidth = 20
-    ctx.fillRect(this.wallPosition - wallWidth, 0, wallWidth, canvasHeight - 50)
-    
-    // Wall pattern
-    ctx.fillStyle = '#555555'
-    for (let y = 0; y < canvasHeight - 50; y += 40) {
-      for (let x = 0; x < wallWidth; x += 20) {
-        if ((Math.floor(y / 40) + Math.floor(x / 20)) % 2 === 0) {
-          ctx.fillRect(this.wallPosition - wallWidth + x, y, 20, 40)
-        }
-      }
+  showCompletionMessage() {
+    const collisions = this.physics.collisionCount
+    const paragraphs = []
+    let match = null
+    
+    if (this.predictedCount === null) {
+      // A custom chain or boundary has no π connection to report
+      paragraphs.push(`Wall: ${this.physics.wallCollisions}, between blocks: ${this.physics.blockCollisions}`)
+      paragraphs.push('No further collisions are possible: every block is moving away from its neighbours and from any wall.')
+    } else {
+      match = this.physics.matchPiDigits(collisions)
+      paragraphs.push(this.suggestNextStep(match))
+      paragraphs.push(this.diagnosePrediction(collisions))
     }
     
-    // Draw blocks
-    this.blocks.forEach(block => {
-      block.draw(ctx)
-    })
+    if (this.physics.arithmetic === 'exact') {
+      paragraphs.push(`Exact arithmetic: ${this.describeFloatDivergence(this.physics.floatDivergence)}.`)
+    }
+    
+    if (this.digitsSetup()) {
+      paragraphs.push(`Digits of π mode: ${this.describeDigitsReproduced(collisions)}.`)
+    }
     
-    // Draw collision sparks if recent collision
-    this.drawCollisionEffects(ctx)
+    this.announcer.announce(`Simulation complete: ${collisions.toLocaleString()} collisions`)
+    this.resultsDialog.show({ collisions, match, paragraphs, nextRatio: this.nextRatioLabel() })
   }
 
-  drawCollisionEffects(ctx) {
-    const recentCollisions = this.collisionHistory.filter(
-      collision => Date.now() - collision.time < 200
-    )
+  suggestNextStep({ digits, matching }) {
+    if (matching === digits.length) {
+      return digits.length >= 4
+        ? `Congratulations! You've discovered ${digits.length} digits of π through collisions!`
+        : `Try a mass ratio that's a power of 100 (like 1:10000) for more π digits!`
+    }
+    return `Try adjusting the mass ratio to a power of 100 (1, 100, 10000, etc.) to see π emerge!`
+  }
+
+  runAgain() {
+    this.reset()
+    this.start()
+  }
+
+  // The next power of 100 up for the classic setup: one more digit in
+  // digits of π mode, otherwise a large block 100 times heavier. null where
+  // there is no such step.
+  nextRatioLabel() {
+    if (this.customBlocksTarget.checked || this.predictedCount === null) return null
     
-    recentCollisions.forEach(collision => {
-      if (collision.type === 'wall') {
-        this.drawSparks(ctx, this.wallPosition, 200, '#FFD700')
-      } else if (collision.type === 'blocks') {
-        // Find collision point between blocks
-        const collisionX = this.blocks.find(b => b.mass === collision.block1.mass)?.getRight() || 400
-        this.drawSparks(ctx, collisionX, 200, '#FF6347')
-      }
-    })
+    const digits = parseInt(this.digitsTarget.value)
+    if (digits) {
+      return digits < MAX_DIGITS ? `${digits + 1} digits` : null
+    }
+    const mass1 = parseFloat(this.mass1Target.value) || 1
+    const mass2 = parseFloat(this.mass2Target.value) || 100
+    return `1:${Block.formatMass(mass2 * 100 / mass1)}`
   }
 
-  drawSparks(ctx, x, y, color) {
-    ctx.fillStyle = color
-    for (let i = 0; i < 8; i++) {
-      const angle = (i / 8) * Math.PI * 2
-      const radius = Math.random() * 20 + 10
-      const sparkX = x + Math.cos(angle) * radius
-      const sparkY = y + Math.sin(angle) * radius
-      
-      ctx.beginPath()
-      ctx.arc(sparkX, sparkY, 3, 0, Math.PI * 2)
-      ctx.fill()
+  nextRatio() {
+    const digits = parseInt(this.digitsTarget.value)
+    if (digits) {
+      this.digitsTarget.value = digits + 1
+      this.selectDigits()
+    } else {
+      this.mass2Target.value = massInputValue((parseFloat(this.mass2Target.value) || 100) * 100)
+      this.updateParameters()
     }
+    this.reset()
+    this.start()
   }
 
-  isSimulationComplete() {
-    // Simulation is complete when all blocks are moving away from each other
-    // and the faster block is moving right
-    if (this.blocks.length !== 2) return false
+  // Compares a finished run with the arctan prediction and names the most
+  // likely reason when they disagree
+  diagnosePrediction(collisions) {
+    const predicted = this.predictedCount
+    const difference = collisions - predicted
     
-    const [block1, block2] = this.blocks
-    const leftBlock = block1.x < block2.x ? block1 : block2
-    const rightBlock = block1.x < block2.x ? block2 : block1
+    if (difference === 0) {
+      return `This matches the analytic prediction of ${predicted} collisions.`
+    }
     
-    return leftBlock.velocity >= 0 && rightBlock.velocity >= leftBlock.velocity
-  }
-
-  getDigitsOfPi(collisionCount) {
-    const piStr = Math.PI.toString()
-    const digits = collisionCount.toString()
+    if (!this.physics.isConservative()) {
+      const lost = this.initialEnergy > 0 ? this.physics.getEnergyLost() / this.initialEnergy : 0
+      return `A perfectly elastic, frictionless run would give ${predicted} collisions; this one ` +
+        `counted ${collisions}. Losing ${(lost * 100).toFixed(1)}% of the kinetic energy to ` +
+        'inelastic impacts and friction is enough to break the link with π.'
+    }
     
-    if (digits.length <= piStr.length - 2) { // -2 for "3."
-      return piStr.substring(0, 2 + digits.length)
+    let message = `The analytic prediction was ${predicted} collisions; the simulation counted ` +
+      `${Math.abs(difference)} ${difference < 0 ? 'fewer' : 'more'}. `
+    
+    if (this.physics.solver === 'fixed') {
+      message += difference < 0
+        ? 'The fixed timestep moves the blocks a whole frame at a time, so bounces that happen ' +
+          'within one frame are missed or merged. Switch to the event-driven solver.'
+        : 'The fixed timestep lets the blocks overlap, so one impact can be counted more than once. ' +
+          'Switch to the event-driven solver.'
+    } else if (this.physics.arithmetic === 'float') {
+      message += 'float64 rounding in the collision velocities decided a near-tie the wrong way. ' +
+        'Try exact arithmetic.'
+    } else {
+      message += 'The prediction itself is computed in float64 and can be off by one when π/θ ' +
+        'is extremely close to a whole number.'
     }
     
-    return piStr
+    return message
   }
 }
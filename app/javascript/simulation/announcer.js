@@ -0,0 +1,46 @@
+// Screen-reader announcements through an ARIA live region. The collision
+// count is only announced as it passes a power of ten, and never sooner than
+// MIN_INTERVAL after the previous announcement, so a burst of thousands of
+// collisions a second reads as a handful of updates. A milestone passed too
+// soon waits for the first call after the interval; announce() speaks at once.
+const MIN_INTERVAL = 3000 // ms
+const FIRST_MILESTONE = 10
+
+export default class Announcer {
+  constructor(element, { clock = () => Date.now() } = {}) {
+    this.element = element
+    this.clock = clock
+    this.reset()
+  }
+
+  reset() {
+    this.milestone = FIRST_MILESTONE
+    this.pending = null
+    this.lastAnnounced = -Infinity
+  }
+
+  collisions(count) {
+    if (count >= this.milestone) {
+      let passed = this.milestone
+      while (count >= passed * 10) {
+        passed *= 10
+      }
+      this.milestone = passed * 10
+      this.pending = `Passed ${passed.toLocaleString()} collisions`
+    }
+
+    if (this.pending && this.clock() - this.lastAnnounced >= MIN_INTERVAL) {
+      this.say(this.pending)
+    }
+  }
+
+  announce(text) {
+    this.say(text)
+  }
+
+  say(text) {
+    this.pending = null
+    this.lastAnnounced = this.clock()
+    this.element.textContent = text
+  }
+}
@@ -0,0 +1,153 @@
+// Editable list of blocks for custom chains: one row per block with its
+// mass, left edge, velocity, color and coefficient of restitution with the
+// next block to its right. onChange fires after every edit; the
+// current list is read back from `blocks`.
+const PALETTE = ['#3498db', '#e74c3c', '#2ecc71', '#f39c12', '#9b59b6', '#1abc9c']
+const FIELDS = [
+  { name: 'mass', label: 'Mass', type: 'number', min: '0.001', step: 'any' },
+  { name: 'x', label: 'Position', type: 'number', min: '0', step: '1' },
+  { name: 'velocity', label: 'Velocity', type: 'number', step: 'any' },
+  { name: 'color', label: 'Color', type: 'color' },
+  { name: 'restitution', label: 'Restitution →', type: 'number', min: '0', max: '1', step: '0.01' }
+]
+
+export default class BlockEditor {
+  constructor(element, { onChange }) {
+    this.list = document.createElement('div')
+    this.list.className = 'block-editor-list'
+
+    this.addButton = document.createElement('button')
+    this.addButton.type = 'button'
+    this.addButton.textContent = 'Add Block'
+    this.addButton.addEventListener('click', () => this.addBlock())
+
+    element.replaceChildren(this.list, this.addButton)
+
+    this.onChange = onChange
+    this.specs = []
+    this.disabled = false
+  }
+
+  get blocks() {
+    return this.specs.map(spec => ({ ...spec }))
+  }
+
+  setBlocks(blocks) {
+    this.specs = blocks.map((block, i) => ({
+      mass: block.mass,
+      x: Math.round(block.x),
+      velocity: block.velocity,
+      color: block.color || PALETTE[i % PALETTE.length],
+      restitution: block.restitution ?? 1
+    }))
+    this.render()
+  }
+
+  setDisabled(disabled) {
+    this.disabled = disabled
+    this.render()
+  }
+
+  // New blocks go to the right of the last one, at rest
+  addBlock() {
+    const last = this.specs.reduce((right, spec) => (spec.x > right.x ? spec : right), { x: 0, mass: 1 })
+    this.specs.push({
+      mass: last.mass,
+      x: Math.round(last.x + 120),
+      velocity: 0,
+      color: PALETTE[this.specs.length % PALETTE.length],
+      restitution: 1
+    })
+    this.render()
+    this.onChange()
+  }
+
+  removeBlock(index) {
+    this.specs.splice(index, 1)
+    this.render()
+    this.onChange()
+  }
+
+  updateField(index, name, value) {
+    if (name === 'color') {
+      this.specs[index].color = value
+    } else {
+      const number = parseFloat(value)
+      const invalid = !Number.isFinite(number) ||
+        (name === 'mass' && number <= 0) ||
+        (name === 'restitution' && (number < 0 || number > 1))
+      if (invalid) {
+        this.render() // put the last valid value back
+        return
+      }
+      this.specs[index][name] = number
+    }
+    this.onChange()
+  }
+
+  render() {
+    const rows = this.specs.map((spec, index) => {
+      const row = document.createElement('div')
+      row.className = 'block-editor-row'
+
+      const title = document.createElement('span')
+      title.className = 'block-editor-title'
+      title.textContent = `Block ${index + 1}`
+      row.append(title)
+
+      FIELDS.forEach(field => {
+        const label = document.createElement('label')
+        const input = document.createElement('input')
+        input.type = field.type
+        if (field.min) input.min = field.min
+        if (field.max) input.max = field.max
+        if (field.step) input.step = field.step
+        input.value = spec[field.name]
+        input.disabled = this.disabled
+        input.addEventListener('change', () => this.updateField(index, field.name, input.value))
+        label.append(`${field.label} `, input)
+        row.append(label)
+      })
+
+      const remove = document.createElement('button')
+      remove.type = 'button'
+      remove.className = 'block-editor-remove'
+      remove.textContent = 'Remove'
+      remove.title = `Remove block ${index + 1}`
+      remove.disabled = this.disabled || this.specs.length <= 1
+      remove.addEventListener('click', () => this.removeBlock(index))
+      row.append(remove)
+
+      return row
+    })
+
+    this.list.replaceChildren(...rows)
+    this.addButton.disabled = this.disabled
+  }
+}
+
+// Compact form for permalinks: "mass:x:velocity:color:restitution" per
+// block, joined with commas, e.g. "1:60:0:3498db:1,100:630:-100:e74c3c:1"
+export function serializeBlocks(blocks) {
+  return blocks.map(block =>
+    [block.mass, block.x, block.velocity, block.color.replace('#', ''), block.restitution].join(':')
+  ).join(',')
+}
+
+export function parseBlocks(text) {
+  const blocks = text.split(',').map(part => {
+    const [mass, x, velocity, color, restitution = '1'] = part.split(':')
+    return {
+      mass: parseFloat(mass),
+      x: parseFloat(x),
+      velocity: parseFloat(velocity),
+      color: /^[0-9a-f]{6}$/i.test(color) ? `#${color}` : null,
+      restitution: parseFloat(restitution)
+    }
+  })
+
+  const valid = blocks.every(block =>
+    block.mass > 0 && Number.isFinite(block.x) && Number.isFinite(block.velocity) &&
+    block.restitution >= 0 && block.restitution <= 1)
+  return valid ? blocks : null
+}
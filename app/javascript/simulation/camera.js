@@ -0,0 +1,197 @@
+// Viewport onto the simulation for the main canvas. Zooming scales about the
+// ground line, so blocks stay on the ground and grow upwards. In follow mode
+// the view eases towards a fit of every block and wall; wheel zoom and
+// dragging take over from it until follow is switched back on. onChange
+// fires after every such user move.
+const GROUND_HEIGHT = 50 // matches the ground PhysicsEngine.draw paints
+const MARGIN = 60 // world pixels kept clear around a fitted view
+const MIN_ZOOM = 0.001
+const MAX_ZOOM = 10
+const EASING = 5 // per second; how quickly follow mode catches up
+const WALL_THICKNESS = 20
+
+export default class Camera {
+  constructor(canvas, { onChange = () => {} } = {}) {
+    this.canvas = canvas
+    this.onChange = onChange
+    this.groundY = canvas.height - GROUND_HEIGHT
+    this.left = 0
+    this.zoom = 1
+    this.follow = true
+    this.drag = null
+    this.dragged = false
+
+    canvas.addEventListener('wheel', event => this.handleWheel(event), { passive: false })
+    canvas.addEventListener('pointerdown', event => this.startDrag(event))
+    canvas.addEventListener('pointermove', event => this.moveDrag(event))
+    canvas.addEventListener('pointerup', () => this.endDrag())
+    canvas.addEventListener('pointercancel', () => this.endDrag())
+
+    // A drag must not count as a click on the canvas as well
+    canvas.addEventListener('click', event => {
+      if (this.dragged) {
+        event.stopImmediatePropagation()
+        this.dragged = false
+      }
+    }, true)
+  }
+
+  // Back to the page's original 1:1 view
+  reset() {
+    this.left = 0
+    this.zoom = 1
+  }
+
+  // Visible part of the world: x from left to right, y from top down to the
+  // ground
+  view() {
+    return {
+      left: this.left,
+      right: this.left + this.canvas.width / this.zoom,
+      top: this.groundY - this.groundY / this.zoom,
+      scale: this.zoom
+    }
+  }
+
+  apply(ctx) {
+    ctx.translate(0, this.groundY)
+    ctx.scale(this.zoom, this.zoom)
+    ctx.translate(-this.left, -this.groundY)
+  }
+
+  toScreenX(x) {
+    return (x - this.left) * this.zoom
+  }
+
+  toScreenY(y) {
+    return this.groundY + (y - this.groundY) * this.zoom
+  }
+
+  toWorldX(screenX) {
+    return this.left + screenX / this.zoom
+  }
+
+  // Eases towards the fitted view over deltaTime seconds, or jumps straight
+  // to it without one
+  update(physics, deltaTime = null) {
+    if (!this.follow) return
+
+    const target = this.fit(physics)
+    const blend = deltaTime === null ? 1 : 1 - Math.exp(-EASING * deltaTime)
+    this.zoom = Math.exp(Math.log(this.zoom) + (Math.log(target.zoom) - Math.log(this.zoom)) * blend)
+    this.left += (target.left - this.left) * blend
+  }
+
+  // The original 1:1 view while everything fits in it; otherwise zoomed out
+  // just far enough to show every block and wall
+  fit(physics) {
+    const xs = []
+    physics.blocks.forEach(block => xs.push(block.getLeft(), block.getRight()))
+    if (physics.boundary !== 'none') {
+      xs.push(physics.wallPosition - WALL_THICKNESS)
+    }
+    if (physics.boundary === 'box') {
+      xs.push(physics.rightWallPosition + WALL_THICKNESS)
+    }
+    if (xs.length === 0) return { left: 0, zoom: 1 }
+
+    const min = Math.min(...xs)
+    const max = Math.max(...xs)
+    if (min >= 0 && max <= this.canvas.width) return { left: 0, zoom: 1 }
+
+    const zoom = this.clampZoom(Math.min(1, this.canvas.width / (max - min + 2 * MARGIN)))
+    const center = (min + max) / 2
+    return { left: center - this.canvas.width / zoom / 2, zoom: zoom }
+  }
+
+  clampZoom(zoom) {
+    return Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom))
+  }
+
+  // Zooms about the point under the cursor
+  handleWheel(event) {
+    event.preventDefault()
+
+    const screenX = this.eventX(event)
+    const x = this.toWorldX(screenX)
+    this.zoom = this.clampZoom(this.zoom * Math.exp(-event.deltaY * 0.001))
+    this.left = x - screenX / this.zoom
+    this.takeOver()
+  }
+
+  startDrag(event) {
+    this.drag = { x: this.eventX(event), left: this.left }
+    this.dragged = false
+  }
+
+  moveDrag(event) {
+    if (!this.drag) return
+
+    const distance = this.eventX(event) - this.drag.x
+    if (!this.dragged && Math.abs(distance) < 3) return
+
+    if (!this.dragged) {
+      this.canvas.setPointerCapture(event.pointerId)
+      this.dragged = true
+    }
+    this.left = this.drag.left - distance / this.zoom
+    this.takeOver()
+  }
+
+  endDrag() {
+    this.drag = null
+  }
+
+  takeOver() {
+    this.follow = false
+    this.onChange()
+  }
+
+  // Pointer position in canvas pixels, whatever size the canvas is shown at
+  eventX(event) {
+    const rect = this.canvas.getBoundingClientRect()
+    return (event.clientX - rect.left) * this.canvas.width / rect.width
+  }
+
+  // An arrow at the edge of the view for every block outside it, labelled
+  // with how far beyond the edge the block is
+  drawIndicators(ctx, blocks) {
+    const { left, right } = this.view()
+    const stacked = { left: 0, right: 0 }
+
+    blocks.forEach(block => {
+      let side
+      let distance
+      if (block.getRight() < left) {
+        side = 'left'
+        distance = left - block.getRight()
+      } else if (block.getLeft() > right) {
+        side = 'right'
+        distance = block.getLeft() - right
+      } else {
+        return
+      }
+
+      const y = this.toScreenY(block.y + block.height / 2) - stacked[side] * 24
+      stacked[side]++
+      this.drawArrow(ctx, side, y, block.color, `${Math.round(distance).toLocaleString()} px`)
+    })
+  }
+
+  drawArrow(ctx, side, y, color, label) {
+    const direction = side === 'left' ? -1 : 1
+    const tip = side === 'left' ? 6 : this.canvas.width - 6
+
+    ctx.fillStyle = color
+    ctx.beginPath()
+    ctx.moveTo(tip, y)
+    ctx.lineTo(tip - direction * 14, y - 9)
+    ctx.lineTo(tip - direction * 14, y + 9)
+    ctx.closePath()
+    ctx.fill()
+
+    ctx.font = 'bold 12px Arial'
+    ctx.textAlign = side === 'left' ? 'left' : 'right'
+    ctx.fillText(label, tip - direction * 18, y + 4)
+  }
+}
@@ -0,0 +1,168 @@
+// Synthesised clacks for collisions: a short burst of filtered noise, lower
+// and duller for the wall than between blocks. Collisions are queued with
+// play() and voiced once per animation frame by flush(). A frame with more
+// than MAX_CLACKS of them plays a single continuous buzz instead, pitched by
+// the collision rate, so a burst of thousands a second rises in tone rather
+// than flooding the audio graph with voices.
+const MAX_CLACKS = 4 // per frame
+const CLACK_LENGTH = 0.06 // seconds
+const TIMBRES = {
+  wall: { frequency: 900, q: 4, tone: 140, gain: 1 },
+  blocks: { frequency: 2600, q: 8, tone: 880, gain: 0.8 }
+}
+const BUZZ_BASE_RATE = 240 // collisions per second where the buzz takes over
+const BUZZ_BASE_PITCH = 120 // Hz at that rate
+const BUZZ_MAX_PITCH = 2500
+
+export default class CollisionSound {
+  constructor() {
+    this.context = null
+    this.volume = 0.5
+    this.muted = false
+    this.pending = { wall: 0, blocks: 0 }
+  }
+
+  // Browsers only allow audio after a user gesture, so the context is
+  // created the first time one asks for sound
+  resume() {
+    if (!this.context) {
+      const AudioContext = window.AudioContext || window.webkitAudioContext
+      if (!AudioContext) return
+
+      this.context = new AudioContext()
+      this.master = this.context.createGain()
+      this.master.connect(this.context.destination)
+      this.noise = this.createNoise()
+      this.applyVolume()
+    }
+    if (this.context.state === 'suspended') {
+      this.context.resume()
+    }
+  }
+
+  close() {
+    if (this.context) {
+      this.context.close()
+      this.context = null
+      this.buzz = null
+    }
+  }
+
+  setVolume(volume) {
+    this.volume = volume
+    this.applyVolume()
+  }
+
+  setMuted(muted) {
+    this.muted = muted
+    this.applyVolume()
+  }
+
+  applyVolume() {
+    if (!this.context) return
+    this.master.gain.setTargetAtTime(this.muted ? 0 : this.volume, this.context.currentTime, 0.01)
+  }
+
+  // type is a collisionHistory entry type: 'wall' or 'blocks'
+  play(type) {
+    if (type in this.pending) {
+      this.pending[type]++
+    }
+  }
+
+  // Drops anything queued and fades the buzz out, e.g. on pause
+  silence() {
+    this.pending = { wall: 0, blocks: 0 }
+    if (this.context) this.setBuzz(0)
+  }
+
+  // Voices everything queued over the last deltaTime seconds
+  flush(deltaTime) {
+    const { wall, blocks } = this.pending
+    this.pending = { wall: 0, blocks: 0 }
+    if (!this.context || this.muted || this.volume === 0) return
+
+    const total = wall + blocks
+    if (total > MAX_CLACKS) {
+      this.setBuzz(total / Math.max(deltaTime, 1 / 60))
+      return
+    }
+
+    this.setBuzz(0)
+    const now = this.context.currentTime
+    const spacing = total > 0 ? Math.min(deltaTime, 1 / 30) / total : 0
+    for (let i = 0; i < total; i++) {
+      this.clack(i < wall ? 'wall' : 'blocks', now + i * spacing)
+    }
+  }
+
+  clack(type, when) {
+    const timbre = TIMBRES[type]
+    const { context } = this
+
+    const source = context.createBufferSource()
+    source.buffer = this.noise
+    const filter = context.createBiquadFilter()
+    filter.type = 'bandpass'
+    filter.frequency.value = timbre.frequency
+    filter.Q.value = timbre.q
+    source.connect(filter)
+
+    // A short pitched ring under the noise gives the clack its body
+    const tone = context.createOscillator()
+    tone.type = 'triangle'
+    tone.frequency.value = timbre.tone
+
+    const envelope = context.createGain()
+    envelope.gain.setValueAtTime(timbre.gain, when)
+    envelope.gain.exponentialRampToValueAtTime(0.001, when + CLACK_LENGTH)
+    filter.connect(envelope)
+    tone.connect(envelope)
+    envelope.connect(this.master)
+
+    source.start(when)
+    source.stop(when + CLACK_LENGTH)
+    tone.start(when)
+    tone.stop(when + CLACK_LENGTH)
+  }
+
+  // One persistent oscillator, faded in while collisions come faster than
+  // clacks can be told apart and faded out otherwise. Pitch rises by an
+  // octave and a half per tenfold increase in rate.
+  setBuzz(rate) {
+    const now = this.context.currentTime
+    if (rate === 0) {
+      if (this.buzz) this.buzz.gain.gain.setTargetAtTime(0, now, 0.05)
+      return
+    }
+
+    if (!this.buzz) {
+      const oscillator = this.context.createOscillator()
+      oscillator.type = 'sawtooth'
+      const filter = this.context.createBiquadFilter()
+      filter.type = 'lowpass'
+      filter.frequency.value = 3000
+      const gain = this.context.createGain()
+      gain.gain.value = 0
+      oscillator.connect(filter)
+      filter.connect(gain)
+      gain.connect(this.master)
+      oscillator.start()
+      this.buzz = { oscillator, gain }
+    }
+
+    const pitch = BUZZ_BASE_PITCH * 2 ** (1.5 * Math.log10(rate / BUZZ_BASE_RATE))
+    this.buzz.oscillator.frequency.setTargetAtTime(Math.min(BUZZ_MAX_PITCH, pitch), now, 0.05)
+    this.buzz.gain.gain.setTargetAtTime(0.25, now, 0.02)
+  }
+
+  createNoise() {
+    const length = Math.ceil(this.context.sampleRate * CLACK_LENGTH)
+    const buffer = this.context.createBuffer(1, length, this.context.sampleRate)
+    const data = buffer.getChannelData(0)
+    for (let i = 0; i < length; i++) {
+      data[i] = Math.random() * 2 - 1
+    }
+    return buffer
+  }
+}
@@ -0,0 +1,76 @@
+// Collision worker: runs the physics engine headless, off the main thread,
+// and reports the final collision counts without rendering a single frame.
+// Started as a module worker; the engine is loaded from the URL the page
+// sends, because import maps do not reach inside workers.
+const PROGRESS_INTERVAL = 100 // ms between progress messages
+const PROGRESS_CHECK_EVERY = 10000 // collisions between clock reads
+
+self.onmessage = async (event) => {
+  const { type, engineUrl, config } = event.data
+
+  if (type === 'run') {
+    // A throw in here would only be an unhandled rejection inside the
+    // worker, which never reaches the page's onerror, so it is sent instead
+    try {
+      const { Block, PhysicsEngine } = await import(engineUrl)
+      run(buildEngine(config, Block, PhysicsEngine), config.maxCollisions)
+    } catch (error) {
+      self.postMessage({ type: 'error', message: error.message })
+    }
+  }
+}
+
+function buildEngine(config, Block, PhysicsEngine) {
+  const engine = new PhysicsEngine(config.wallPosition)
+  engine.solver = 'event'
+  engine.recordHistory = false
+  engine.boundary = config.boundary
+  engine.rightWallPosition = config.rightWallPosition
+  engine.wallVelocity = config.wallVelocity
+  engine.springStiffness = config.springStiffness
+  engine.restitution = config.restitution
+  engine.wallRestitution = config.wallRestitution
+  engine.rightWallRestitution = config.rightWallRestitution
+  engine.friction = config.friction
+
+  config.blocks.forEach(block => {
+    engine.addBlock(new Block(block.x, 0, block.width, 0, block.mass, block.velocity))
+  })
+  engine.pairRestitution = new Map(config.pairRestitution)
+  engine.setArithmetic(config.arithmetic)
+
+  return engine
+}
+
+function counts(engine, startTime) {
+  return {
+    collisionCount: engine.collisionCount,
+    wallCollisions: engine.wallCollisions,
+    blockCollisions: engine.blockCollisions,
+    recurrences: engine.recurrences,
+    period: engine.period,
+    energyLost: engine.getEnergyLost(),
+    simulationTime: engine.time,
+    floatDivergence: engine.floatDivergence,
+    elapsed: performance.now() - startTime
+  }
+}
+
+function run(engine, maxCollisions) {
+  const startTime = performance.now()
+  let lastProgress = startTime
+
+  // Cancellation is handled by the page terminating this worker, so the
+  // run never needs to yield back to the event loop
+  engine.runToCompletion(() => {
+    if (engine.collisionCount % PROGRESS_CHECK_EVERY !== 0) return
+
+    const now = performance.now()
+    if (now - lastProgress >= PROGRESS_INTERVAL) {
+      lastProgress = now
+      self.postMessage({ type: 'progress', ...counts(engine, startTime) })
+    }
+  }, maxCollisions)
+
+  self.postMessage({ type: 'result', ...counts(engine, startTime) })
+}
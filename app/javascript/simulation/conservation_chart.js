@@ -0,0 +1,172 @@
+import { formatNumber } from "simulation/format"
+
+// Live plots of kinetic energy, its relative drift, momentum and each block's
+// velocity against simulation time. Energy should stay flat; momentum only
+// changes when the wall pushes back.
+const CAPACITY = 2000 // samples kept; older ones are thinned out, not dropped
+const PADDING = { left: 70, right: 150, top: 8, bottom: 8 }
+
+export default class ConservationChart {
+  constructor(canvas) {
+    this.canvas = canvas
+    this.ctx = canvas.getContext('2d')
+    this.physics = null
+  }
+
+  reset(physics) {
+    this.physics = physics
+    this.samples = []
+    this.stride = 1
+    this.pending = 0
+    this.initialEnergy = physics.getKineticEnergy()
+    this.sample()
+  }
+
+  // Call after every engine step. Once CAPACITY samples are stored, every
+  // other one is discarded and sampling slows down by half, so memory stays
+  // bounded however long the run
+  sample() {
+    if (++this.pending < this.stride && this.samples.length > 0) return
+    this.pending = 0
+
+    this.samples.push(this.measure())
+
+    if (this.samples.length > CAPACITY) {
+      this.samples = this.samples.filter((_, i) => i % 2 === 0)
+      this.stride *= 2
+    }
+  }
+
+  measure() {
+    const energy = this.physics.getKineticEnergy()
+    return {
+      time: this.physics.time,
+      energy: energy,
+      error: this.initialEnergy === 0 ? 0 : (energy - this.initialEnergy) / this.initialEnergy,
+      momentum: this.physics.getMomentum(),
+      velocities: this.physics.blocks.map(block => block.velocity)
+    }
+  }
+
+  rows() {
+    const rows = [
+      { label: 'Kinetic energy', series: [{ color: '#ffd700', value: s => s.energy }] },
+      { label: 'ΔE / E₀', series: [{ color: '#ff6b81', value: s => s.error }] },
+      { label: 'Momentum', series: [{ color: '#7bed9f', value: s => s.momentum }] },
+      { label: 'Velocity', series: [] }
+    ]
+
+    this.physics.blocks.forEach((block, i) => {
+      rows[3].series.push({ color: block.color, value: s => s.velocities[i], name: `v${i + 1}` })
+    })
+
+    return rows
+  }
+
+  draw() {
+    if (!this.physics) return
+
+    const { ctx, canvas } = this
+    ctx.clearRect(0, 0, canvas.width, canvas.height)
+    ctx.fillStyle = '#10172a'
+    ctx.fillRect(0, 0, canvas.width, canvas.height)
+
+    // Always end on the live state, even between thinned-out samples. While
+    // an earlier moment is replayed the whole run stays plotted and a cursor
+    // marks the moment instead.
+    const current = this.measure()
+    const replaying = this.physics.isReplaying()
+    const samples = replaying ? this.samples : [...this.samples, current]
+    const rows = this.rows()
+    const rowHeight = (canvas.height - PADDING.top - PADDING.bottom) / rows.length
+
+    rows.forEach((row, i) => {
+      this.drawRow(row, samples, current, replaying, PADDING.top + i * rowHeight, rowHeight)
+    })
+  }
+
+  drawRow(row, samples, current, replaying, top, height) {
+    const { ctx, canvas } = this
+    const left = PADDING.left
+    const width = canvas.width - PADDING.left - PADDING.right
+    const plotTop = top + 4
+    const plotHeight = height - 8
+    const duration = samples[samples.length - 1].time || 1
+
+    let min = Infinity
+    let max = -Infinity
+    row.series.forEach(series => {
+      samples.forEach(sample => {
+        const value = series.value(sample)
+        min = Math.min(min, value)
+        max = Math.max(max, value)
+      })
+    })
+    if (min === max) {
+      const pad = Math.abs(min) * 0.1 || 1
+      min -= pad
+      max += pad
+    }
+
+    const toX = time => left + (time / duration) * width
+    const toY = value => plotTop + plotHeight - ((value - min) / (max - min)) * plotHeight
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)'
+    ctx.lineWidth = 1
+    ctx.strokeRect(left, plotTop, width, plotHeight)
+
+    if (min < 0 && max > 0) {
+      ctx.setLineDash([4, 4])
+      ctx.beginPath()
+      ctx.moveTo(left, toY(0))
+      ctx.lineTo(left + width, toY(0))
+      ctx.stroke()
+      ctx.setLineDash([])
+    }
+
+    ctx.lineWidth = 1.5
+    row.series.forEach(series => {
+      ctx.strokeStyle = series.color
+      ctx.beginPath()
+      samples.forEach((sample, i) => {
+        const x = toX(sample.time)
+        const y = toY(series.value(sample))
+        if (i === 0) {
+          ctx.moveTo(x, y)
+        } else {
+          ctx.lineTo(x, y)
+        }
+      })
+      ctx.stroke()
+    })
+
+    if (replaying) {
+      const x = toX(Math.min(current.time, duration))
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)'
+      ctx.lineWidth = 1
+      ctx.beginPath()
+      ctx.moveTo(x, plotTop)
+      ctx.lineTo(x, plotTop + plotHeight)
+      ctx.stroke()
+    }
+
+    // Axis range on the left, label and live value on the right
+    ctx.font = '11px Arial'
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)'
+    ctx.textAlign = 'right'
+    ctx.fillText(formatNumber(max), left - 6, plotTop + 10)
+    ctx.fillText(formatNumber(min), left - 6, plotTop + plotHeight)
+
+    ctx.textAlign = 'left'
+    ctx.fillStyle = 'white'
+    ctx.font = 'bold 12px Arial'
+    ctx.fillText(row.label, left + width + 10, plotTop + 12)
+
+    ctx.font = '12px monospace'
+    row.series.forEach((series, i) => {
+      ctx.fillStyle = series.color
+      const prefix = series.name ? `${series.name} = ` : ''
+      ctx.fillText(`${prefix}${formatNumber(series.value(current))}`, left + width + 10, plotTop + 28 + i * 14)
+    })
+  }
+}
@@ -0,0 +1,41 @@
+// "Digits of π" mode: the classic setup that spells out the first `digits`
+// digits of π, and how best to show it. Masses of 1 and 100^(digits - 1)
+// give ⌊π·10^(digits - 1)⌋ collisions, and float64 counts every one of
+// those correctly up to MAX_DIGITS. Adaptive slow motion shows at most 20
+// collisions a second, so it only suits the shortest runs; past a million
+// collisions even plain animation drags on, so those runs are computed in
+// the worker instead.
+export const MAX_DIGITS = 9
+const SLOW_MOTION_DIGITS = 3
+const ANIMATED_DIGITS = 6
+
+// null for a number of digits the mode does not offer
+export function digitsSetup(digits) {
+  if (!(digits >= 1 && digits <= MAX_DIGITS)) return null
+
+  return {
+    mass1: 1,
+    mass2: 100 ** (digits - 1),
+    velocity: -100,
+    solver: 'event',
+    arithmetic: 'float',
+    slowMotion: digits <= SLOW_MOTION_DIGITS,
+    compute: digits > ANIMATED_DIGITS
+  }
+}
+
+// How the mass inputs show a setup's masses: "100", "10000", "1e10"
+export function massInputValue(mass) {
+  return mass < 1e5 ? String(mass) : mass.toExponential().replace('e+', 'e')
+}
+
+// Adds a "1 digit" to "MAX_DIGITS digits" option to the mode's <select>,
+// after the "Off" option the page provides
+export function renderDigitsOptions(select) {
+  for (let digits = 1; digits <= MAX_DIGITS; digits++) {
+    const option = document.createElement('option')
+    option.value = digits
+    option.textContent = digits === 1 ? '1 digit' : `${digits} digits`
+    select.append(option)
+  }
+}
@@ -0,0 +1,133 @@
+import { formatNumber } from "simulation/format"
+
+// Scrollable table of collisionHistory entries. Only the rows inside the
+// viewport (plus a little overscan) exist in the DOM, so the table stays fast
+// with hundreds of thousands of collisions.
+const ROW_HEIGHT = 24
+const OVERSCAN = 8
+
+export default class EventLog {
+  constructor(element) {
+    this.header = document.createElement('div')
+    this.header.className = 'event-log-row event-log-head'
+
+    this.viewport = document.createElement('div')
+    this.viewport.className = 'event-log-viewport'
+    this.spacer = document.createElement('div')
+    this.spacer.className = 'event-log-spacer'
+    this.rows = document.createElement('div')
+    this.spacer.append(this.rows)
+    this.viewport.append(this.spacer)
+    element.replaceChildren(this.header, this.viewport)
+
+    this.history = []
+    this.length = 0
+    this.follow = true // keep the newest row in view until the user scrolls up
+
+    this.viewport.addEventListener('scroll', () => {
+      const bottom = this.viewport.scrollTop + this.viewport.clientHeight
+      this.follow = bottom >= this.spacer.offsetHeight - ROW_HEIGHT
+      this.renderRows()
+    })
+  }
+
+  reset(blockCount) {
+    const columns = ['#', 'Type', 'Time (s)']
+    for (let i = 1; i <= blockCount; i++) {
+      columns.push(`x${i}`, `v${i}`)
+    }
+    columns.push('Kinetic energy', 'Momentum')
+
+    this.header.replaceChildren(...columns.map(text => this.cell(text)))
+    this.viewport.style.setProperty('--event-log-columns', columns.length)
+    this.header.style.setProperty('--event-log-columns', columns.length)
+    this.update([])
+  }
+
+  update(history) {
+    if (history === this.history && history.length === this.length) return
+
+    this.history = history
+    this.length = history.length
+    this.spacer.style.height = `${history.length * ROW_HEIGHT}px`
+
+    if (this.follow) {
+      this.viewport.scrollTop = this.viewport.scrollHeight
+    }
+    this.renderRows()
+  }
+
+  renderRows() {
+    const first = Math.max(0, Math.floor(this.viewport.scrollTop / ROW_HEIGHT) - OVERSCAN)
+    const count = Math.ceil(this.viewport.clientHeight / ROW_HEIGHT) + OVERSCAN * 2
+    const last = Math.min(this.history.length, first + count)
+
+    const rows = []
+    for (let i = first; i < last; i++) {
+      rows.push(this.renderRow(this.history.at(i)))
+    }
+
+    this.rows.style.transform = `translateY(${first * ROW_HEIGHT}px)`
+    this.rows.replaceChildren(...rows)
+  }
+
+  renderRow(entry) {
+    const row = document.createElement('div')
+    row.className = `event-log-row event-log-${entry.type}`
+
+    const values = [entry.index, entry.type, formatNumber(entry.time)]
+    entry.blocks.forEach(block => values.push(formatNumber(block.x), formatNumber(block.velocity)))
+    values.push(formatNumber(entry.kineticEnergy), formatNumber(entry.momentum))
+
+    row.append(...values.map(value => this.cell(value)))
+    return row
+  }
+
+  cell(text) {
+    const cell = document.createElement('span')
+    cell.textContent = text
+    return cell
+  }
+}
+
+// Flattens each entry to one row with a mass, position and velocity column
+// per block, ready for a notebook's CSV reader
+export function historyToCSV(history) {
+  const blockCount = history.length > 0 ? history.at(0).blocks.length : 0
+  const header = ['index', 'type', 'time']
+  for (let i = 1; i <= blockCount; i++) {
+    header.push(`m${i}`, `x${i}`, `v${i}`)
+  }
+  header.push('kinetic_energy', 'momentum')
+
+  const lines = [header.join(',')]
+  history.forEach(entry => {
+    const values = [entry.index, entry.type, entry.time]
+    entry.blocks.forEach(block => values.push(block.mass, block.x, block.velocity))
+    values.push(entry.kineticEnergy, entry.momentum)
+    lines.push(values.join(','))
+  })
+
+  return `${lines.join('\n')}\n`
+}
+
+export function historyToJSON(history) {
+  const entries = history.map(entry => ({
+    index: entry.index,
+    type: entry.type,
+    time: entry.time,
+    blocks: entry.blocks,
+    kineticEnergy: entry.kineticEnergy,
+    momentum: entry.momentum
+  }))
+  return JSON.stringify(entries, null, 2)
+}
+
+export function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
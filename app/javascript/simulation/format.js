@@ -0,0 +1,9 @@
+// Fixed-point for everyday magnitudes, scientific notation for anything huge
+// or tiny, so large mass ratios never collapse to "0.00"
+export function formatNumber(value) {
+  const magnitude = Math.abs(value)
+  if (magnitude !== 0 && (magnitude >= 1e6 || magnitude < 1e-3)) {
+    return value.toExponential(3)
+  }
+  return value.toFixed(3)
+}
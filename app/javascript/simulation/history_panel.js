@@ -0,0 +1,120 @@
+import { compareRuns, describeDigits } from "simulation/run_history"
+
+// Table of saved runs with a Load and a Delete button on each. Ticking two
+// runs enables Compare, which lays them out side by side with the rows that
+// differ marked; ticking a third drops the earliest tick.
+export default class HistoryPanel {
+  constructor(element, { onLoad, onDelete, onClear }) {
+    this.compareButton = this.button('Compare Selected', () => this.renderComparison())
+    const clearButton = this.button('Clear History', () => onClear())
+    const toolbar = document.createElement('div')
+    toolbar.className = 'button-group'
+    toolbar.append(this.compareButton, clearButton)
+
+    this.table = document.createElement('table')
+    this.table.className = 'history-table'
+    this.comparison = document.createElement('div')
+    this.comparison.className = 'history-comparison'
+
+    element.replaceChildren(toolbar, this.table, this.comparison)
+
+    this.onLoad = onLoad
+    this.onDelete = onDelete
+    this.runs = []
+    this.selected = [] // ids, in the order they were ticked
+    this.compared = null // ids of the runs in the comparison on show
+  }
+
+  button(label, action) {
+    const button = document.createElement('button')
+    button.type = 'button'
+    button.textContent = label
+    button.addEventListener('click', action)
+    return button
+  }
+
+  render(runs) {
+    this.runs = runs
+    this.selected = this.selected.filter(id => runs.some(run => run.id === id))
+    // The comparison stays up only while both of its runs are still ticked
+    if (this.compared && !this.compared.every(id => this.selected.includes(id))) {
+      this.comparison.replaceChildren()
+      this.compared = null
+    }
+
+    const header = document.createElement('tr')
+    header.append(...['', 'Finished', 'Setup', 'Solver', 'Collisions', 'π digits', 'Run time', ''].map(text => this.cell('th', text)))
+
+    const rows = runs.map(run => {
+      const tr = document.createElement('tr')
+
+      const checkbox = document.createElement('input')
+      checkbox.type = 'checkbox'
+      checkbox.checked = this.selected.includes(run.id)
+      checkbox.setAttribute('aria-label', `Select the run finished ${new Date(run.finishedAt).toLocaleString()} to compare`)
+      checkbox.addEventListener('change', () => this.toggleSelected(run.id, checkbox.checked))
+      const select = this.cell('td', '')
+      select.append(checkbox)
+
+      const actions = this.cell('td', '')
+      actions.append(this.button('Load', () => this.onLoad(run)), this.button('Delete', () => this.onDelete(run.id)))
+
+      tr.append(
+        select,
+        this.cell('td', new Date(run.finishedAt).toLocaleString()),
+        this.cell('td', run.label),
+        this.cell('td', `${run.solver}, ${run.arithmetic}`),
+        this.cell('td', run.collisionCount.toLocaleString()),
+        this.cell('td', describeDigits(run)),
+        this.cell('td', `${(run.runTime / 1000).toFixed(2)} s`),
+        actions
+      )
+      return tr
+    })
+
+    if (rows.length === 0) {
+      const empty = this.cell('td', 'No finished runs yet. Runs are saved here as they complete.')
+      empty.colSpan = 8
+      const tr = document.createElement('tr')
+      tr.append(empty)
+      rows.push(tr)
+    }
+
+    this.table.replaceChildren(header, ...rows)
+    this.compareButton.disabled = this.selected.length !== 2
+  }
+
+  toggleSelected(id, selected) {
+    this.selected = this.selected.filter(other => other !== id)
+    if (selected) {
+      this.selected = [...this.selected, id].slice(-2)
+    }
+    this.render(this.runs)
+  }
+
+  renderComparison() {
+    const [a, b] = this.selected.map(id => this.runs.find(run => run.id === id))
+    this.compared = [...this.selected]
+
+    const table = document.createElement('table')
+    table.className = 'history-table'
+    const header = document.createElement('tr')
+    header.append(this.cell('th', ''), this.cell('th', 'Run A'), this.cell('th', 'Run B'))
+
+    const rows = compareRuns(a, b).map(({ label, values, differs }) => {
+      const tr = document.createElement('tr')
+      if (differs) tr.className = 'history-differs'
+      tr.append(this.cell('th', label), ...values.map(value => this.cell('td', value)))
+      return tr
+    })
+
+    table.append(header, ...rows)
+    this.comparison.replaceChildren(table)
+  }
+
+  cell(tag, text) {
+    const cell = document.createElement(tag)
+    cell.textContent = text
+    return cell
+  }
+}
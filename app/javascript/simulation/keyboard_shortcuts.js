@@ -0,0 +1,84 @@
+// Keyboard shortcuts for the simulation page, kept as data: the controller
+// looks each keydown up here, and the "?" help overlay is built from the same
+// list, so the two cannot drift apart. Most shortcuts press one of the
+// page's own controls, which keeps disabled buttons disabled from the
+// keyboard too.
+export const SHORTCUTS = [
+  { keys: [' '], label: 'Space', description: 'Start or pause', action: 'togglePlay' },
+  { keys: ['r'], label: 'R', description: 'Reset', action: 'press', control: 'resetBtn' },
+  { keys: ['ArrowRight'], label: '→', description: 'Step to the next collision', action: 'press', control: 'stepForwardBtn' },
+  { keys: ['ArrowLeft'], label: '←', description: 'Step back a collision', action: 'press', control: 'stepBackBtn' },
+  { keys: ['b'], label: 'B', description: 'Play backwards', action: 'press', control: 'reverseBtn' },
+  { keys: ['+', '='], label: '+', description: 'Speed up', action: 'speed', step: 1 },
+  { keys: ['-', '_'], label: '−', description: 'Slow down', action: 'speed', step: -1 },
+  { keys: ['m'], label: 'M', description: 'Mute or unmute', action: 'press', control: 'mute' },
+  { keys: ['f'], label: 'F', description: 'Follow the blocks', action: 'press', control: 'followCamera' },
+  { keys: ['p'], label: 'P', description: 'Show or hide the phase space plot', action: 'panel', panel: 'phasePanel' },
+  { keys: ['c'], label: 'C', description: 'Show or hide the conservation charts', action: 'panel', panel: 'chartPanel' },
+  { keys: ['l'], label: 'L', description: 'Show or hide the collision log', action: 'panel', panel: 'logPanel' },
+  { keys: ['e'], label: 'E', description: 'Show or hide the export panel', action: 'panel', panel: 'exportPanel' },
+  { keys: ['s'], label: 'S', description: 'Show or hide the mass-ratio sweep', action: 'panel', panel: 'sweepPanel' },
+  { keys: ['h'], label: 'H', description: 'Show or hide the run history', action: 'panel', panel: 'historyPanel' },
+  { keys: ['?'], label: '?', description: 'Show or hide this help', action: 'help' }
+]
+
+// The shortcut for a keydown event, or null. Keys with a modifier belong to
+// the browser, and keys a focused control handles itself are left to it.
+export function findShortcut(event) {
+  if (event.ctrlKey || event.metaKey || event.altKey) return null
+  if (usedByTarget(event.target, event.key)) return null
+
+  const key = event.key.length === 1 ? event.key.toLowerCase() : event.key
+  return SHORTCUTS.find(shortcut => shortcut.keys.includes(key)) ?? null
+}
+
+// Text and number fields take every key; sliders take the arrows and the
+// like; buttons and checkboxes are pressed with Space and Enter
+function usedByTarget(target, key) {
+  if (!target || !target.tagName) return false
+  if (target.isContentEditable) return true
+
+  switch (target.tagName) {
+    case 'TEXTAREA':
+    case 'SELECT':
+      return true
+    case 'INPUT':
+      if (target.type === 'checkbox' || target.type === 'radio') return key === ' '
+      if (target.type === 'range') return /^(Arrow|Page|Home|End)/.test(key)
+      return target.type !== 'button'
+    case 'BUTTON':
+      return key === ' ' || key === 'Enter'
+    default:
+      return false
+  }
+}
+
+// Fills the help overlay's <dialog> with the list above and a Close button
+export function renderShortcutHelp(dialog) {
+  const title = document.createElement('h2')
+  title.id = 'shortcut-help-title'
+  title.textContent = 'Keyboard Shortcuts'
+
+  const list = document.createElement('dl')
+  list.className = 'shortcut-list'
+  SHORTCUTS.forEach(shortcut => {
+    const term = document.createElement('dt')
+    const key = document.createElement('kbd')
+    key.textContent = shortcut.label
+    term.append(key)
+    const description = document.createElement('dd')
+    description.textContent = shortcut.description
+    list.append(term, description)
+  })
+
+  const note = document.createElement('p')
+  note.textContent = 'Shortcuts are off while typing in a field.'
+
+  const close = document.createElement('button')
+  close.type = 'button'
+  close.textContent = 'Close'
+  close.addEventListener('click', () => dialog.close())
+
+  dialog.setAttribute('aria-labelledby', title.id)
+  dialog.replaceChildren(title, list, note, close)
+}
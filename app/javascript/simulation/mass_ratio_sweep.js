@@ -0,0 +1,104 @@
+// Mass-ratio sweeps: the classic experiment, a light block at rest by a fixed
+// wall struck by a heavier one, run headless for a list of ratios m₂/m₁. Runs
+// go one after another through the collision worker, which is kept for the
+// whole sweep, and each result is reported as soon as it is in.
+export const MAX_SWEEP_RUNS = 50
+
+// Ratios from `from` to `to` inclusive, `runs` of them, spaced evenly on a
+// log or a linear scale. Log spacing from 1 to 1e12 in 7 runs gives the
+// powers of 100. Returns null when the range makes no sense.
+export function sweepRatios({ spacing, from, to, runs }) {
+  const valid = from > 0 && to >= from && Number.isInteger(runs) && runs >= 1 && runs <= MAX_SWEEP_RUNS
+  if (!valid) return null
+  if (runs === 1) return [from]
+
+  return Array.from({ length: runs }, (_, i) => {
+    const share = i / (runs - 1)
+    const ratio = spacing === 'log'
+      ? 10 ** (Math.log10(from) + share * (Math.log10(to) - Math.log10(from)))
+      : from + share * (to - from)
+    // Trim float noise, so 10 ** 4 comes out as 10000 and not 10000.000000000002
+    return Number(ratio.toPrecision(12))
+  })
+}
+
+// A collision worker config for the classic setup, laid out as on the page
+export function classicConfig(mass1, mass2, velocity, arithmetic) {
+  return {
+    wallPosition: 50,
+    boundary: 'wall',
+    rightWallPosition: 750,
+    wallVelocity: 0,
+    springStiffness: 1,
+    restitution: 1,
+    pairRestitution: [],
+    wallRestitution: 1,
+    rightWallRestitution: 1,
+    friction: 0,
+    maxCollisions: Infinity,
+    arithmetic: arithmetic,
+    blocks: [
+      { x: 60, width: 30, mass: mass1, velocity: 0 },
+      { x: 630, width: 120, mass: mass2, velocity: velocity }
+    ]
+  }
+}
+
+// One line per finished run of sweep rows ({ ratio, mass1, mass2,
+// collisions, predicted, runtime }); runtime is in milliseconds
+export function sweepToCSV(rows) {
+  const lines = ['ratio,mass1,mass2,collisions,predicted,runtime_ms']
+  rows.filter(row => row.collisions !== null).forEach(row => {
+    lines.push([row.ratio, row.mass1, row.mass2, row.collisions, row.predicted, row.runtime.toFixed(1)].join(','))
+  })
+  return `${lines.join('\n')}\n`
+}
+
+export default class MassRatioSweep {
+  constructor(workerUrl, engineUrl) {
+    this.workerUrl = workerUrl
+    this.engineUrl = engineUrl
+    this.worker = null
+    this.reject = null
+  }
+
+  get running() {
+    return this.worker !== null
+  }
+
+  // Runs each worker config in turn, calling onResult(index, message) with
+  // the worker's final counts for each. Rejects with an AbortError if
+  // cancelled.
+  async run(configs, onResult) {
+    this.worker = new Worker(this.workerUrl, { type: 'module' })
+    try {
+      for (let i = 0; i < configs.length; i++) {
+        onResult(i, await this.runOne(configs[i]))
+      }
+    } finally {
+      this.worker.terminate()
+      this.worker = null
+      this.reject = null
+    }
+  }
+
+  runOne(config) {
+    return new Promise((resolve, reject) => {
+      this.reject = reject
+      this.worker.onmessage = (event) => {
+        if (event.data.type === 'result') resolve(event.data)
+        if (event.data.type === 'error') reject(new Error(event.data.message))
+      }
+      this.worker.onerror = (error) => reject(new Error(error.message))
+      this.worker.postMessage({ type: 'run', engineUrl: this.engineUrl, config })
+    })
+  }
+
+  // Terminating the worker is the only way to stop a run part way through;
+  // run() does that as the rejection unwinds it
+  cancel() {
+    if (this.reject) {
+      this.reject(new DOMException('Sweep cancelled', 'AbortError'))
+    }
+  }
+}
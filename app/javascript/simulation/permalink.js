@@ -0,0 +1,19 @@
+// Simulation settings live in the page URL so a link reproduces a setup.
+// Both "?m1=1&m2=100" and "#m1=1&m2=100" are understood; the hash wins.
+export function readParams(url = window.location.href) {
+  const { search, hash } = new URL(url)
+  const params = new URLSearchParams(search)
+
+  new URLSearchParams(hash.replace(/^#/, '')).forEach((value, key) => {
+    params.set(key, value)
+  })
+
+  return params
+}
+
+export function buildUrl(values, url = window.location.href) {
+  const target = new URL(url)
+  target.search = new URLSearchParams(values).toString()
+  target.hash = ''
+  return target.toString()
+}
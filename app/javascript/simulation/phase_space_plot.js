@@ -0,0 +1,229 @@
+// Phase-space view of a two-block run. Plotting (√m1·v1, √m2·v2) keeps the
+// state on a circle of radius √(2E); a wall hit flips the horizontal axis and
+// a block hit reflects the state across a line, so the bounce points step
+// around the circle by 2θ with θ = arctan(√(m1/m2)).
+const RECENT_POINTS = 64
+const INSET_SIZE = 110
+const INSET_THRESHOLD = 0.05 // θ (radians) below which the zoomed inset appears
+
+export default class PhaseSpacePlot {
+  constructor(canvas) {
+    this.canvas = canvas
+    this.ctx = canvas.getContext('2d')
+    this.trail = document.createElement('canvas')
+    this.trail.width = canvas.width
+    this.trail.height = canvas.height
+    this.trailCtx = this.trail.getContext('2d')
+    this.physics = null
+  }
+
+  reset(physics) {
+    this.physics = physics
+    this.consumed = 0
+    this.trailCtx.clearRect(0, 0, this.trail.width, this.trail.height)
+
+    // The circle picture only exists for a pair of blocks
+    this.supported = physics.blocks.length === 2
+    if (!this.supported) return
+
+    const [small, large] = physics.blocks
+    this.masses = [small.mass, large.mass]
+    this.velocities = [small.velocity, large.velocity]
+    this.radius = Math.sqrt(small.mass * small.velocity ** 2 + large.mass * large.velocity ** 2)
+    this.theta = Math.atan(Math.sqrt(small.mass / large.mass))
+    this.scale = (Math.min(this.canvas.width, this.canvas.height) / 2 - 30) / (this.radius || 1)
+    this.recent = [this.toPhase(this.velocities)]
+  }
+
+  toPhase([v1, v2]) {
+    return { x: Math.sqrt(this.masses[0]) * v1, y: Math.sqrt(this.masses[1]) * v2 }
+  }
+
+  toCanvas(point) {
+    return {
+      x: this.canvas.width / 2 + point.x * this.scale,
+      y: this.canvas.height / 2 - point.y * this.scale
+    }
+  }
+
+  // Plots every collision recorded since the last call onto the trail layer,
+  // so drawing cost does not grow with the length of the run
+  sync() {
+    const history = this.physics.collisionHistory
+    if (history.length < this.consumed) {
+      this.reset(this.physics)
+    }
+
+    this.trailCtx.strokeStyle = 'rgba(52, 152, 219, 0.8)'
+    this.trailCtx.fillStyle = '#3498db'
+    this.trailCtx.lineWidth = 1
+    this.trailCtx.beginPath()
+
+    for (let i = this.consumed; i < history.length; i++) {
+      const from = this.toCanvas(this.recent[this.recent.length - 1])
+      this.applyCollision(history.at(i))
+      const point = this.toPhase(this.velocities)
+      const to = this.toCanvas(point)
+
+      this.trailCtx.moveTo(from.x, from.y)
+      this.trailCtx.lineTo(to.x, to.y)
+      this.trailCtx.fillRect(to.x - 1, to.y - 1, 2, 2)
+
+      this.recent.push(point)
+      if (this.recent.length > RECENT_POINTS) this.recent.shift()
+    }
+
+    this.trailCtx.stroke()
+    this.consumed = history.length
+  }
+
+  applyCollision(entry) {
+    this.velocities = entry.blocks.map(block => block.velocity)
+  }
+
+  draw() {
+    if (!this.physics) return
+
+    const { ctx, canvas } = this
+    ctx.clearRect(0, 0, canvas.width, canvas.height)
+    ctx.fillStyle = '#10172a'
+    ctx.fillRect(0, 0, canvas.width, canvas.height)
+
+    if (!this.supported) {
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.7)'
+      ctx.font = '14px Arial'
+      ctx.textAlign = 'center'
+      ctx.fillText('Phase space needs exactly two blocks', canvas.width / 2, canvas.height / 2)
+      return
+    }
+
+    this.sync()
+
+    this.drawAxes()
+    this.drawEndZone()
+    ctx.drawImage(this.trail, 0, 0)
+    this.drawState()
+
+    if (this.theta < INSET_THRESHOLD && this.radius > 0) {
+      this.drawInset()
+    }
+  }
+
+  drawAxes() {
+    const { ctx, canvas } = this
+    const center = this.toCanvas({ x: 0, y: 0 })
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)'
+    ctx.lineWidth = 1
+    ctx.beginPath()
+    ctx.moveTo(0, center.y)
+    ctx.lineTo(canvas.width, center.y)
+    ctx.moveTo(center.x, 0)
+    ctx.lineTo(center.x, canvas.height)
+    ctx.stroke()
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)'
+    ctx.beginPath()
+    ctx.arc(center.x, center.y, this.radius * this.scale, 0, Math.PI * 2)
+    ctx.stroke()
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.7)'
+    ctx.font = '12px Arial'
+    ctx.textAlign = 'right'
+    ctx.fillText('√m₁·v₁', canvas.width - 6, center.y - 6)
+    ctx.textAlign = 'left'
+    ctx.fillText('√m₂·v₂', center.x + 6, 14)
+  }
+
+  // No collision is possible once v2 ≥ v1 ≥ 0: the wedge between the
+  // vertical axis and the line at angle θ from it
+  drawEndZone() {
+    const { ctx } = this
+    const center = this.toCanvas({ x: 0, y: 0 })
+    const radius = this.radius * this.scale
+
+    ctx.fillStyle = 'rgba(46, 213, 115, 0.25)'
+    ctx.beginPath()
+    ctx.moveTo(center.x, center.y)
+    ctx.arc(center.x, center.y, radius, -Math.PI / 2, -Math.PI / 2 + this.theta)
+    ctx.closePath()
+    ctx.fill()
+
+    ctx.fillStyle = '#7bed9f'
+    ctx.font = '12px Arial'
+    ctx.textAlign = 'left'
+    ctx.fillText(`θ = arctan(√(m₁/m₂)) = ${this.formatAngle(this.theta)}`, 6, this.canvas.height - 8)
+  }
+
+  drawState() {
+    const { ctx } = this
+    const [small, large] = this.physics.blocks
+    const point = this.toCanvas(this.toPhase([small.velocity, large.velocity]))
+
+    ctx.fillStyle = '#ffd700'
+    ctx.beginPath()
+    ctx.arc(point.x, point.y, 4, 0, Math.PI * 2)
+    ctx.fill()
+  }
+
+  // Magnified view around the current state, where the bounce points of a
+  // large mass ratio are too close together to tell apart at full scale
+  drawInset() {
+    const { ctx, canvas } = this
+    const [small, large] = this.physics.blocks
+    const current = this.toPhase([small.velocity, large.velocity])
+    const halfWidth = Math.max(this.radius * this.theta * 4, this.radius * 1e-12)
+    const zoom = (INSET_SIZE / 2) / halfWidth
+    const magnification = zoom / this.scale
+    const left = canvas.width - INSET_SIZE - 6
+    const top = 6
+    const toInset = point => ({
+      x: left + INSET_SIZE / 2 + (point.x - current.x) * zoom,
+      y: top + INSET_SIZE / 2 - (point.y - current.y) * zoom
+    })
+
+    ctx.save()
+    ctx.fillStyle = 'rgba(16, 23, 42, 0.95)'
+    ctx.fillRect(left, top, INSET_SIZE, INSET_SIZE)
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)'
+    ctx.strokeRect(left, top, INSET_SIZE, INSET_SIZE)
+    ctx.beginPath()
+    ctx.rect(left, top, INSET_SIZE, INSET_SIZE)
+    ctx.clip()
+
+    const center = toInset({ x: 0, y: 0 })
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)'
+    ctx.beginPath()
+    ctx.arc(center.x, center.y, this.radius * zoom, 0, Math.PI * 2)
+    ctx.stroke()
+
+    ctx.strokeStyle = 'rgba(52, 152, 219, 0.9)'
+    ctx.beginPath()
+    this.recent.forEach((point, i) => {
+      const { x, y } = toInset(point)
+      if (i === 0) {
+        ctx.moveTo(x, y)
+      } else {
+        ctx.lineTo(x, y)
+      }
+    })
+    ctx.stroke()
+
+    ctx.fillStyle = '#ffd700'
+    ctx.beginPath()
+    ctx.arc(left + INSET_SIZE / 2, top + INSET_SIZE / 2, 3, 0, Math.PI * 2)
+    ctx.fill()
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)'
+    ctx.font = '10px Arial'
+    ctx.textAlign = 'left'
+    const label = magnification >= 1e4 ? magnification.toExponential(1) : Math.round(magnification)
+    ctx.fillText(`×${label}`, left + 4, top + INSET_SIZE - 4)
+    ctx.restore()
+  }
+
+  formatAngle(theta) {
+    const degrees = theta * 180 / Math.PI
+    return degrees >= 0.01 ? `${degrees.toFixed(2)}°` : `${degrees.toExponential(2)}°`
+  }
+}
@@ -0,0 +1,1684 @@
+/**
+ * Physics Engine for Pi Collision Simulation
+ * Implements elastic and inelastic collision mechanics with optional friction
+ *
+ * Shared by the Stimulus controller, the legacy PiCollisionSimulation, the
+ * collision worker, bin/pi-collisions and test/javascript. It has no imports
+ * so that workers and Node can load it without the page's import map.
+ */
+
+/**
+ * Exact rational number on BigInt, used by the exact-arithmetic backend.
+ * Fractions are deliberately left unreduced: gcd on numbers with hundreds of
+ * thousands of digits costs far more than it saves, and the elastic update
+ * keeps both velocities over one shared denominator, so sums stay cheap.
+ * Inelastic impacts break that sharing and call reduce() instead.
+ */
+export class Rational {
+  constructor(num, den = 1n) {
+    if (den === 0n) {
+      throw new RangeError('Rational denominator must not be zero')
+    }
+    this.num = den < 0n ? -num : num
+    this.den = den < 0n ? -den : den
+  }
+
+  // Parses the decimal form of a number exactly, so 0.1 becomes 1/10
+  // rather than the nearest binary fraction
+  static fromNumber(value) {
+    if (!Number.isFinite(value)) {
+      throw new RangeError(`Cannot represent ${value} as a rational`)
+    }
+
+    const [mantissa, exponentPart = '0'] = value.toString().split('e')
+    const [whole, fraction = ''] = mantissa.split('.')
+    const exponent = parseInt(exponentPart, 10) - fraction.length
+    const digits = BigInt(whole + fraction)
+
+    return exponent >= 0
+      ? new Rational(digits * 10n ** BigInt(exponent))
+      : new Rational(digits, 10n ** BigInt(-exponent))
+  }
+
+  static gcd(a, b) {
+    if (a < 0n) a = -a
+    while (b !== 0n) {
+      [a, b] = [b, a % b]
+    }
+    return a
+  }
+
+  static bitLength(value) {
+    if (value < 0n) value = -value
+    return value === 0n ? 0 : value.toString(16).length * 4
+  }
+
+  add(other) {
+    if (this.den === other.den) {
+      return new Rational(this.num + other.num, this.den)
+    }
+    return new Rational(this.num * other.den + other.num * this.den, this.den * other.den)
+  }
+
+  sub(other) {
+    return this.add(other.neg())
+  }
+
+  mul(other) {
+    return new Rational(this.num * other.num, this.den * other.den)
+  }
+
+  div(other) {
+    return new Rational(this.num * other.den, this.den * other.num)
+  }
+
+  neg() {
+    return new Rational(-this.num, this.den)
+  }
+
+  reduce() {
+    const divisor = Rational.gcd(this.num, this.den)
+    return divisor > 1n ? new Rational(this.num / divisor, this.den / divisor) : this
+  }
+
+  sign() {
+    return this.num > 0n ? 1 : this.num < 0n ? -1 : 0
+  }
+
+  compare(other) {
+    const difference = this.den === other.den
+      ? this.num - other.num
+      : this.num * other.den - other.num * this.den
+    return difference > 0n ? 1 : difference < 0n ? -1 : 0
+  }
+
+  // Meant for bounded values such as velocities, whose numerator is never
+  // vastly larger than the denominator
+  toNumber() {
+    // Drop low bits so both parts fit in a float64 before dividing
+    const excess = Rational.bitLength(this.den) - 1000
+    if (excess <= 0) {
+      return Number(this.num) / Number(this.den)
+    }
+    const shift = BigInt(excess)
+    return Number(this.num >> shift) / Number(this.den >> shift)
+  }
+
+  toString() {
+    return `${this.num}/${this.den}`
+  }
+}
+
+/**
+ * Decimal digits of π from Gibbons' unbounded spigot algorithm. Digits are
+ * produced on demand and cached, so there is no upper limit on precision.
+ */
+export class PiDigits {
+  static digits = ''
+  static state = { q: 1n, r: 0n, t: 1n, k: 1n, n: 3n, l: 3n }
+
+  // First `count` digits of π with no decimal point, e.g. first(4) is "3141"
+  static first(count) {
+    while (PiDigits.digits.length < count) {
+      PiDigits.digits += PiDigits.nextDigit()
+    }
+    return PiDigits.digits.slice(0, count)
+  }
+
+  static nextDigit() {
+    const s = PiDigits.state
+
+    for (;;) {
+      if (4n * s.q + s.r - s.t < s.n * s.t) {
+        const digit = s.n
+        const r = 10n * (s.r - s.n * s.t)
+        s.n = (10n * (3n * s.q + s.r)) / s.t - 10n * s.n
+        s.q *= 10n
+        s.r = r
+        return digit.toString()
+      }
+
+      const r = (2n * s.q + s.r) * s.l
+      const n = (s.q * 7n * s.k + 2n + s.r * s.l) / (s.t * s.l)
+      s.q *= s.k
+      s.t *= s.l
+      s.l += 2n
+      s.k += 1n
+      s.n = n
+      s.r = r
+    }
+  }
+
+  // Puts the decimal point after the leading digit, e.g. "3141" -> "3.141"
+  static format(digits) {
+    return digits.length > 1 ? `${digits[0]}.${digits.slice(1)}` : digits
+  }
+}
+
+/**
+ * Every collision of a run, kept as rows of numbers in fixed-size chunks so a
+ * long run costs a few dozen bytes a collision rather than an object for
+ * each. A row holds the type, the time, each block's position and velocity,
+ * the kinetic energy and the momentum; at(i) rebuilds the entry for the
+ * (i + 1)-th collision.
+ */
+const LOG_CHUNK_ROWS = 4096
+const COLLISION_TYPES = [['wall', 'left'], ['wall', 'right'], ['blocks', null]]
+
+export class CollisionLog {
+  constructor() {
+    this.length = 0
+    this.masses = null // the same for every row, so stored once
+    this.columns = 0
+    this.chunks = []
+  }
+
+  push(type, side, time, blocks, kineticEnergy, momentum) {
+    if (this.masses === null) {
+      this.masses = blocks.map(block => block.mass)
+      this.columns = 4 + 2 * blocks.length
+    }
+
+    const row = this.length % LOG_CHUNK_ROWS
+    if (row === 0) {
+      this.chunks.push(new Float64Array(LOG_CHUNK_ROWS * this.columns))
+    }
+    const chunk = this.chunks[this.chunks.length - 1]
+    let column = row * this.columns
+    chunk[column++] = type === 'blocks' ? 2 : side === 'right' ? 1 : 0
+    chunk[column++] = time
+    blocks.forEach(block => {
+      chunk[column++] = block.x
+      chunk[column++] = block.velocity
+    })
+    chunk[column++] = kineticEnergy
+    chunk[column] = momentum
+    this.length++
+  }
+
+  at(i) {
+    if (i < 0 || i >= this.length) return undefined
+
+    const chunk = this.chunks[Math.floor(i / LOG_CHUNK_ROWS)]
+    let column = (i % LOG_CHUNK_ROWS) * this.columns
+    const [type, side] = COLLISION_TYPES[chunk[column++]]
+    const time = chunk[column++]
+    const blocks = this.masses.map(mass => ({ mass: mass, x: chunk[column++], velocity: chunk[column++] }))
+    return { index: i + 1, type, side, time, blocks, kineticEnergy: chunk[column++], momentum: chunk[column] }
+  }
+
+  forEach(callback) {
+    for (let i = 0; i < this.length; i++) {
+      callback(this.at(i), i)
+    }
+  }
+
+  map(callback) {
+    const result = []
+    this.forEach((entry, i) => result.push(callback(entry, i)))
+    return result
+  }
+}
+
+const SUPERSCRIPTS = { '-': '⁻', 0: '⁰', 1: '¹', 2: '²', 3: '³', 4: '⁴', 5: '⁵', 6: '⁶', 7: '⁷', 8: '⁸', 9: '⁹' }
+
+export class Block {
+  constructor(x, y, width, height, mass, velocity = 0, color = '#333') {
+    this.x = x
+    this.y = y
+    this.width = width
+    this.height = height
+    this.mass = mass
+    this.velocity = velocity
+    this.color = color
+    this.originalX = x
+    this.originalVelocity = velocity
+  }
+
+  update(deltaTime) {
+    this.x += this.velocity * deltaTime
+  }
+
+  draw(ctx) {
+    // Draw the block with a gradient and shadow effect
+    const gradient = ctx.createLinearGradient(this.x, this.y, this.x, this.y + this.height)
+    gradient.addColorStop(0, this.color)
+    gradient.addColorStop(1, this.darkenColor(this.color, 0.3))
+    
+    // Shadow
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.2)'
+    ctx.fillRect(this.x + 3, this.y + 3, this.width, this.height)
+    
+    // Main block
+    ctx.fillStyle = gradient
+    ctx.fillRect(this.x, this.y, this.width, this.height)
+    
+    // Border
+    ctx.strokeStyle = this.darkenColor(this.color, 0.5)
+    ctx.lineWidth = 2
+    ctx.strokeRect(this.x, this.y, this.width, this.height)
+    
+    // Mass label
+    ctx.fillStyle = 'white'
+    ctx.font = 'bold 14px Arial'
+    ctx.textAlign = 'center'
+    ctx.fillText(
+      `m=${Block.formatMass(this.mass)}`,
+      this.x + this.width / 2,
+      this.y + this.height / 2 + 5
+    )
+    
+    // Velocity arrow
+    if (Math.abs(this.velocity) > 0.01) {
+      this.drawVelocityArrow(ctx)
+    }
+  }
+
+  drawVelocityArrow(ctx) {
+    const centerX = this.x + this.width / 2
+    const centerY = this.y - 20
+    const arrowLength = Math.min(Math.abs(this.velocity) * 20, 50)
+    const direction = this.velocity > 0 ? 1 : -1
+    
+    ctx.strokeStyle = '#ff4757'
+    ctx.lineWidth = 3
+    ctx.beginPath()
+    ctx.moveTo(centerX, centerY)
+    ctx.lineTo(centerX + direction * arrowLength, centerY)
+    ctx.stroke()
+    
+    // Arrow head
+    ctx.fillStyle = '#ff4757'
+    ctx.beginPath()
+    ctx.moveTo(centerX + direction * arrowLength, centerY)
+    ctx.lineTo(centerX + direction * (arrowLength - 8), centerY - 4)
+    ctx.lineTo(centerX + direction * (arrowLength - 8), centerY + 4)
+    ctx.closePath()
+    ctx.fill()
+    
+    // Velocity label
+    ctx.fillStyle = '#ff4757'
+    ctx.font = 'bold 12px Arial'
+    ctx.textAlign = 'center'
+    ctx.fillText(
+      `v=${this.velocity.toFixed(2)}`,
+      centerX + direction * arrowLength / 2,
+      centerY - 8
+    )
+  }
+
+  // As written for everyday masses; huge and tiny ones in scientific
+  // notation, e.g. 1×10¹⁰, so they fit on a block
+  static formatMass(mass) {
+    if (mass === 0 || (mass >= 1e-3 && mass < 1e5)) return String(mass)
+
+    const [mantissa, exponent] = mass.toExponential(3).split('e')
+    const power = [...String(Number(exponent))].map(char => SUPERSCRIPTS[char]).join('')
+    return `${Number(mantissa)}×10${power}`
+  }
+
+  darkenColor(color, factor) {
+    if (color.startsWith('#')) {
+      const r = parseInt(color.slice(1, 3), 16)
+      const g = parseInt(color.slice(3, 5), 16)
+      const b = parseInt(color.slice(5, 7), 16)
+      return `rgb(${Math.floor(r * (1 - factor))}, ${Math.floor(g * (1 - factor))}, ${Math.floor(b * (1 - factor))})`
+    }
+    return color
+  }
+
+  reset() {
+    this.x = this.originalX
+    this.velocity = this.originalVelocity
+  }
+
+  getRight() {
+    return this.x + this.width
+  }
+
+  getLeft() {
+    return this.x
+  }
+
+  getCenter() {
+    return this.x + this.width / 2
+  }
+}
+
+// How far the spring bumper's anchor sits behind its rest line, and how many
+// samples the root search takes across one spring contact
+const SPRING_LENGTH = 20
+const SPRING_SAMPLES = 64
+const WALL_THICKNESS = 20 // as drawn; walls have no thickness in the physics
+// Collision sparks: how long each shows for, and how many are kept at once
+const EFFECT_DURATION = 200 // ms
+const MAX_EFFECTS = 64
+// The timeline keeps at most this many keyframes, however long the run
+const MAX_KEYFRAMES = 1024
+// How many events stepEvents resolves between checks of its time budget
+const BUDGET_CHECK_INTERVAL = 256
+// Ground friction decelerates at μ·g, taking a pixel as a centimetre
+const GRAVITY = 981
+// Below this speed an inelastic impact leaves the bodies moving together, and
+// a block this close to the wall's speed comes to rest against it, so blocks
+// cannot bounce an unbounded number of times as they settle
+const REST_SPEED = 1e-6
+
+// Something moving along the ground from x at velocity v with constant
+// acceleration a until `stop`, when it comes to rest; walls are movers with
+// zero width that never stop
+function moverAt(mover, time) {
+  const t = Math.min(time, mover.stop)
+  const moving = time < mover.stop
+  return {
+    x: mover.x + mover.v * t + 0.5 * mover.a * t * t,
+    v: moving ? mover.v + mover.a * t : 0,
+    a: moving ? mover.a : 0
+  }
+}
+
+// Earliest time the gap between the right edge of `left` and `right` closes,
+// or null if it never does. Between the movers' stopping times the gap is a
+// quadratic in time, so each stretch is solved in closed form.
+function firstContact(left, right) {
+  const breaks = [left.stop, right.stop].filter(Number.isFinite).sort((a, b) => a - b)
+  let start = 0
+
+  for (const end of [...breaks, Infinity]) {
+    if (end <= start) continue
+
+    const l = moverAt(left, start)
+    const r = moverAt(right, start)
+    const g0 = r.x - l.x - left.width
+    const g1 = r.v - l.v
+    const g2 = r.a - l.a
+
+    if (g0 <= 0) {
+      if (g1 < 0 || (g1 === 0 && g2 < 0)) return start
+    } else {
+      const root = smallestPositiveRoot(0.5 * g2, g1, g0)
+      if (root !== null && start + root <= end) return start + root
+    }
+
+    start = end
+  }
+
+  return null
+}
+
+function smallestPositiveRoot(a, b, c) {
+  if (a === 0) {
+    return b < 0 ? -c / b : null
+  }
+
+  const discriminant = b * b - 4 * a * c
+  if (discriminant < 0) return null
+
+  const sqrt = Math.sqrt(discriminant)
+  const roots = [(-b - sqrt) / (2 * a), (-b + sqrt) / (2 * a)].filter(root => root > 0)
+  return roots.length > 0 ? Math.min(...roots) : null
+}
+
+// Offscreen canvas for cached drawing
+function createLayer(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height)
+  }
+
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  return canvas
+}
+
+export class PhysicsEngine {
+  constructor(wallPosition = 0) {
+    this.wallPosition = wallPosition
+    this.initialWallPosition = wallPosition
+    // 'wall': one fixed wall on the left; 'box': a second fixed wall at
+    // rightWallPosition; 'none': no walls at all; 'moving': the left wall
+    // moves at wallVelocity; 'spring': the left wall is a massless spring
+    // bumper of springStiffness whose rest line is at wallPosition
+    this.boundary = 'wall'
+    this.rightWallPosition = null
+    this.wallVelocity = 0
+    this.springStiffness = 1
+    this.springContact = null // the block pressing on the spring, if any
+    this.recurrences = 0 // times a box run has returned to its starting velocities
+    this.period = null // collisions until the first such return
+    // Coefficients of restitution: 1 is perfectly elastic, 0 makes bodies
+    // stick. `restitution` applies to every pair of blocks without its own
+    // entry in pairRestitution (see setRestitution).
+    this.restitution = 1
+    this.pairRestitution = new Map()
+    this.wallRestitution = 1
+    this.rightWallRestitution = 1
+    this.friction = 0 // coefficient of kinetic friction with the ground
+    this.collisionLoss = 0 // kinetic energy dissipated by impacts
+    this.frictionLoss = 0 // kinetic energy dissipated by friction
+    this.blocks = []
+    this.collisionCount = 0
+    this.wallCollisions = 0
+    this.blockCollisions = 0
+    this.timeScale = 1
+    this.solver = 'event'
+    this.arithmetic = 'float'
+    this.floatDivergence = null
+    this.maxEventsPerUpdate = 100000
+    this.frameBudget = Infinity // ms of wall-clock time one update may spend on events
+    this.time = 0
+    this.recordHistory = true
+    this.collisionHistory = new CollisionLog()
+    this.onCollisionRecorded = null // called with each new collisionHistory entry
+    this.effects = [] // recent collisions to draw sparks for, oldest first
+    // Where sparks get their timing and scatter from; an export swaps in a
+    // frame clock and a seeded generator so its frames come out the same
+    this.clock = () => Date.now()
+    this.random = Math.random
+    this.layers = { background: null, wall: null } // cached static drawing
+    // Full engine state at the start and after every keyframeInterval-th
+    // collision, while recordHistory is on; see recordKeyframe and seek
+    this.keyframes = []
+    this.keyframeInterval = 1
+    this.lastCollisionAt = 0 // simulated time of the latest collision
+    this.liveState = null // the latest moment simulated, while replaying an earlier one
+  }
+
+  // Theoretical collision count for a block of mass1 at rest by the wall
+  // struck by a block of mass2 moving at `velocity`: each wall/block pair of
+  // collisions turns the phase-space state by 2θ, θ = arctan(√(mass1/mass2)),
+  // until it reaches the wedge where no further collision is possible
+  static predictCollisionCount(mass1, mass2, velocity = -1) {
+    if (velocity >= 0) return 0
+
+    const turns = Math.PI / Math.atan(Math.sqrt(mass1 / mass2))
+    const nearest = Math.round(turns)
+
+    // When π/θ is a whole number the final collision leaves the blocks with
+    // equal velocities, so it is not followed by another one
+    return (Math.abs(turns - nearest) < 1e-9 ? nearest : Math.ceil(turns)) - 1
+  }
+
+  // Blocks in a line keep their order, so each pair that can ever meet is a
+  // pair of neighbours; their coefficient is stored by position in `blocks`
+  setRestitution(block1, block2, coefficient) {
+    this.pairRestitution.set(this.pairKey(block1, block2), coefficient)
+  }
+
+  restitutionBetween(block1, block2) {
+    return this.pairRestitution.get(this.pairKey(block1, block2)) ?? this.restitution
+  }
+
+  pairKey(block1, block2) {
+    const i = this.blocks.indexOf(block1)
+    const j = this.blocks.indexOf(block2)
+    return i < j ? `${i}:${j}` : `${j}:${i}`
+  }
+
+  addBlock(block) {
+    this.blocks.push(block)
+    if (this.arithmetic === 'exact') {
+      this.initializeExactState(block)
+    }
+  }
+
+  // 'float' resolves collisions in float64; 'exact' keeps masses and
+  // velocities as BigInt rationals. Positions and timing stay float64 either
+  // way, since they only drive the animation.
+  setArithmetic(arithmetic) {
+    this.arithmetic = arithmetic
+    this.floatDivergence = null
+    if (arithmetic === 'exact') {
+      this.blocks.forEach(block => this.initializeExactState(block))
+    }
+  }
+
+  initializeExactState(block) {
+    block.exactMass = Rational.fromNumber(block.mass)
+    block.exactVelocity = Rational.fromNumber(block.velocity)
+    block.floatVelocity = block.velocity // float64 shadow of the exact run
+  }
+
+  reset() {
+    this.collisionCount = 0
+    this.wallCollisions = 0
+    this.blockCollisions = 0
+    this.collisionHistory = new CollisionLog()
+    this.keyframes = []
+    this.keyframeInterval = 1
+    this.liveState = null
+    this.effects = []
+    this.time = 0
+    this.lastCollisionAt = 0
+    this.wallPosition = this.initialWallPosition
+    this.springContact = null
+    this.recurrences = 0
+    this.period = null
+    this.collisionLoss = 0
+    this.frictionLoss = 0
+    this.blocks.forEach(block => block.reset())
+    this.setArithmetic(this.arithmetic)
+  }
+
+  // timeScale can be overridden per call, e.g. for adaptive slow motion
+  update(deltaTime, timeScale = this.timeScale) {
+    const scaledDeltaTime = deltaTime * timeScale
+
+    if (this.solver === 'fixed') {
+      this.stepFixed(scaledDeltaTime)
+    } else {
+      this.stepEvents(scaledDeltaTime)
+    }
+  }
+
+  stepFixed(deltaTime) {
+    // Update positions
+    this.advance(deltaTime)
+
+    // Check for collisions
+    this.checkWallCollisions()
+    this.checkBlockCollisions()
+  }
+
+  // Event-driven stepping: jump straight to the next wall or block impact,
+  // resolve it, and repeat until deltaTime is used up. No impact can be missed
+  // or merged, however many happen within one frame. Returns the simulated
+  // time actually covered, which is less than deltaTime only when
+  // maxEventsPerUpdate impacts were resolved or frameBudget ran out first.
+  stepEvents(deltaTime) {
+    let remaining = deltaTime
+    let events = 0
+    const started = this.frameBudget === Infinity ? 0 : performance.now()
+
+    while (remaining > 0) {
+      const collision = this.findNextCollision()
+
+      if (!collision || collision.time > remaining) {
+        this.advance(remaining)
+        remaining = 0
+        break
+      }
+
+      this.advance(collision.time)
+      remaining -= collision.time
+      this.resolveCollision(collision)
+
+      if (++events >= this.maxEventsPerUpdate) break
+      if (events % BUDGET_CHECK_INTERVAL === 0 && performance.now() - started > this.frameBudget) break
+    }
+
+    return deltaTime - remaining
+  }
+
+  // Resolves every remaining collision back to back with no frame budget,
+  // for headless runs. onCollision, if given, is called after each one.
+  // maxCollisions bounds runs that never finish, such as a box.
+  runToCompletion(onCollision = null, maxCollisions = Infinity) {
+    while (this.collisionCount < maxCollisions) {
+      const collision = this.findNextCollision()
+      if (!collision) return
+
+      this.advance(collision.time)
+      this.resolveCollision(collision)
+      if (onCollision) onCollision(collision)
+    }
+  }
+
+  // Resolves events until one more collision has been counted. Returns false
+  // if there is none left.
+  stepCollision() {
+    const target = this.collisionCount + 1
+    while (this.collisionCount < target) {
+      const collision = this.findNextCollision()
+      if (!collision) return false
+
+      this.advance(collision.time)
+      this.resolveCollision(collision)
+    }
+    return true
+  }
+
+  // Everything needed to carry on simulating from this moment. Blocks are
+  // stored as parallel arrays to keep keyframes small. Exact velocities grow
+  // by a few bits with every collision, so keyframes leave them out and
+  // restore seeds them from the float64 ones; only the live state, which the
+  // run carries on from, keeps them.
+  snapshot(withExactState = true) {
+    const exact = this.arithmetic === 'exact'
+    return {
+      time: this.time,
+      wallPosition: this.wallPosition,
+      x: this.blocks.map(block => block.x),
+      velocity: this.blocks.map(block => block.velocity),
+      exactVelocity: exact && withExactState ? this.blocks.map(block => block.exactVelocity) : null,
+      floatVelocity: exact ? this.blocks.map(block => block.floatVelocity) : null,
+      springContact: this.blocks.indexOf(this.springContact),
+      spring: this.springContact ? { ...this.springContact.spring } : null,
+      collisionCount: this.collisionCount,
+      wallCollisions: this.wallCollisions,
+      blockCollisions: this.blockCollisions,
+      lastCollisionAt: this.lastCollisionAt,
+      recurrences: this.recurrences,
+      period: this.period,
+      collisionLoss: this.collisionLoss,
+      frictionLoss: this.frictionLoss,
+      floatDivergence: this.floatDivergence
+    }
+  }
+
+  restore(snapshot) {
+    this.time = snapshot.time
+    this.wallPosition = snapshot.wallPosition
+    this.blocks.forEach((block, i) => {
+      block.x = snapshot.x[i]
+      block.velocity = snapshot.velocity[i]
+      if (snapshot.floatVelocity) {
+        block.exactVelocity = snapshot.exactVelocity ? snapshot.exactVelocity[i] : Rational.fromNumber(block.velocity)
+        block.floatVelocity = snapshot.floatVelocity[i]
+      }
+      delete block.spring
+    })
+    this.springContact = this.blocks[snapshot.springContact] ?? null
+    if (this.springContact) {
+      this.springContact.spring = { ...snapshot.spring }
+    }
+    this.collisionCount = snapshot.collisionCount
+    this.wallCollisions = snapshot.wallCollisions
+    this.blockCollisions = snapshot.blockCollisions
+    this.lastCollisionAt = snapshot.lastCollisionAt
+    this.recurrences = snapshot.recurrences
+    this.period = snapshot.period
+    this.collisionLoss = snapshot.collisionLoss
+    this.frictionLoss = snapshot.frictionLoss
+    this.floatDivergence = snapshot.floatDivergence
+  }
+
+  // The event solver keeps a keyframe every keyframeInterval collisions and
+  // replays the events in between when seeking; once there are more than
+  // MAX_KEYFRAMES, every other one goes and the interval doubles. Fixed steps
+  // depend on the frame lengths, so they cannot be replayed: they keep a
+  // keyframe per event but only the latest MAX_KEYFRAMES, and the start of a
+  // long fixed-step run drops out of reach.
+  recordKeyframe() {
+    if (!this.recordHistory) return
+
+    if (this.solver === 'fixed') {
+      this.keyframes.push(this.snapshot(false))
+      if (this.keyframes.length > MAX_KEYFRAMES) {
+        this.keyframes.shift()
+      }
+      return
+    }
+
+    const last = this.keyframes[this.keyframes.length - 1]
+    if (last && (last.collisionCount === this.collisionCount || this.collisionCount % this.keyframeInterval !== 0)) return
+
+    this.keyframes.push(this.snapshot(false))
+    if (this.keyframes.length > MAX_KEYFRAMES) {
+      this.keyframeInterval *= 2
+      this.keyframes = this.keyframes.filter(keyframe => keyframe.collisionCount % this.keyframeInterval === 0)
+    }
+  }
+
+  isReplaying() {
+    return this.liveState !== null
+  }
+
+  // How far the run has been simulated, wherever the timeline stands
+  recordedTime() {
+    return (this.liveState ?? this).time
+  }
+
+  recordedCollisions() {
+    return (this.liveState ?? this).collisionCount
+  }
+
+  // How far back the timeline reaches: the start, unless a long fixed-step
+  // run has dropped its earliest keyframes
+  earliestRecordedTime() {
+    return this.keyframes.length > 0 ? this.keyframes[0].time : 0
+  }
+
+  // Shows the recorded moment `time` by restoring the last keyframe before
+  // it and simulating forward from there, which reproduces that moment
+  // exactly, friction and springs included. The latest simulated state is
+  // kept aside and comes back once `time` reaches it.
+  seek(time) {
+    if (this.keyframes.length === 0) return
+
+    if (time >= this.recordedTime()) {
+      this.resumeLive()
+      return
+    }
+
+    this.liveState ??= this.snapshot()
+    const target = Math.max(this.earliestRecordedTime(), time)
+    this.restore(this.keyframes[this.lastKeyframeIndex(keyframe => keyframe.time <= target)])
+    this.replay(() => {
+      if (this.solver !== 'fixed') {
+        let collision
+        while ((collision = this.findNextCollision()) && this.time + collision.time <= target) {
+          this.advance(collision.time)
+          this.resolveCollision(collision)
+        }
+      }
+      this.advance(target - this.time)
+    })
+  }
+
+  // Moves to the moment right after the n-th collision (the start for 0),
+  // simulating ahead if the run has not got that far yet
+  seekCollision(n) {
+    if (n > this.recordedCollisions()) {
+      this.resumeLive()
+      while (this.collisionCount < n && this.stepCollision()) {}
+      return
+    }
+    if (this.keyframes.length === 0) return
+
+    this.liveState ??= this.snapshot()
+    this.restore(this.keyframes[this.collisionKeyframeIndex(n)])
+    this.replay(() => {
+      while (this.collisionCount < n && this.stepCollision()) {}
+    })
+  }
+
+  // Back to the last collision before the moment shown, or to the start
+  seekPreviousCollision() {
+    if (this.keyframes.length === 0) return
+
+    const n = this.collisionCount
+    const atCollision = this.time === this.lastCollisionAt
+    this.seekCollision(atCollision ? Math.max(0, n - 1) : n)
+  }
+
+  // When the latest counted collision happened, or 0 before the first
+  lastCollisionTime() {
+    return this.lastCollisionAt
+  }
+
+  // The keyframe taken right after the n-th collision, or failing that the
+  // last one before it, or the earliest one kept
+  collisionKeyframeIndex(n) {
+    const index = this.lastKeyframeIndex(keyframe => keyframe.collisionCount < n) + 1
+    return this.keyframes[index]?.collisionCount === n ? index : Math.max(0, index - 1)
+  }
+
+  // Simulates on from a restored keyframe without recording anything, so
+  // the log, the sparks and the keyframes only ever hold the live run
+  replay(simulate) {
+    const recording = this.recordHistory
+    this.recordHistory = false
+    simulate()
+    this.recordHistory = recording
+  }
+
+  resumeLive() {
+    if (!this.liveState) return
+
+    this.restore(this.liveState)
+    this.liveState = null
+  }
+
+  // Keyframes are in time order, so binary search for the last one that
+  // satisfies a condition true for a prefix of them; -1 if none does
+  lastKeyframeIndex(condition) {
+    let low = -1
+    let high = this.keyframes.length - 1
+    while (low < high) {
+      const middle = Math.ceil((low + high + 1) / 2)
+      if (condition(this.keyframes[middle])) {
+        low = middle
+      } else {
+        high = middle - 1
+      }
+    }
+    return low
+  }
+
+  advance(deltaTime) {
+    if (this.keyframes.length === 0) {
+      this.recordKeyframe()
+    }
+
+    this.blocks.forEach(block => {
+      if (block === this.springContact) return
+
+      if (this.friction > 0) {
+        this.slide(block, deltaTime)
+      } else {
+        block.update(deltaTime)
+      }
+    })
+    if (this.springContact) {
+      this.advanceSpringContact(deltaTime)
+    }
+    this.time += deltaTime
+
+    if (this.boundary === 'moving') {
+      this.wallPosition = this.initialWallPosition + this.wallVelocity * this.time
+    }
+  }
+
+  findNextCollision() {
+    let next = null
+    const consider = (collision) => {
+      if (!next || collision.time < next.time) {
+        next = collision
+      }
+    }
+
+    // The spring pushing its block back out past the rest line
+    if (this.springContact) {
+      consider({ type: 'wall', side: 'left', time: this.springReleaseTime(), block1: this.springContact, block2: null })
+    }
+
+    // Left wall impacts for every block closing in on it; with a spring this
+    // is where the block first touches the bumper
+    if (this.boundary !== 'none') {
+      const type = this.boundary === 'spring' ? 'spring' : 'wall'
+      this.blocks.forEach(block => {
+        if (block === this.springContact) return
+
+        const time = this.leftWallImpactTime(block)
+        if (time !== null) {
+          consider({ type: type, side: 'left', time: time, block1: block, block2: null })
+        }
+      })
+    }
+
+    // Right wall impacts in a box
+    if (this.boundary === 'box') {
+      this.blocks.forEach(block => {
+        const time = this.rightWallImpactTime(block)
+        if (time !== null) {
+          consider({ type: 'wall', side: 'right', time: time, block1: block, block2: null })
+        }
+      })
+    }
+
+    // Impacts between neighbouring blocks that are closing in on each other
+    const ordered = this.orderedBlocks()
+    for (let i = 0; i < ordered.length - 1; i++) {
+      const time = this.pairImpactTime(ordered[i], ordered[i + 1])
+      if (time !== null) {
+        consider({ type: 'blocks', time: time, block1: ordered[i], block2: ordered[i + 1] })
+      }
+    }
+
+    return next
+  }
+
+  // Moves a block under ground friction. Friction makes velocities depend on
+  // elapsed float64 time, so in exact arithmetic a sliding block's exact
+  // state is re-seeded from float64 afterwards.
+  slide(block, deltaTime) {
+    if (block.velocity === 0) return
+
+    const next = moverAt(this.mover(block), deltaTime)
+    this.frictionLoss += 0.5 * block.mass * (block.velocity ** 2 - next.v ** 2)
+    block.x = next.x
+    block.velocity = next.v
+
+    if (this.arithmetic === 'exact') {
+      this.initializeExactState(block)
+    }
+  }
+
+  mover(block) {
+    const acceleration = block.velocity === 0 ? 0 : -Math.sign(block.velocity) * this.friction * GRAVITY
+    return {
+      x: block.x,
+      width: block.width,
+      v: block.velocity,
+      a: acceleration,
+      stop: acceleration === 0 ? Infinity : Math.abs(block.velocity / acceleration)
+    }
+  }
+
+  wallMover(x, velocity) {
+    return { x: x, width: 0, v: velocity, a: 0, stop: Infinity }
+  }
+
+  // Time until a block reaches the left wall, or null if it never will
+  leftWallImpactTime(block) {
+    if (this.friction > 0) {
+      return firstContact(this.wallMover(this.wallPosition, this.leftWallVelocity()), this.mover(block))
+    }
+    if (!this.isApproachingWall(block)) return null
+
+    const closingSpeed = this.leftWallVelocity() - block.velocity
+    return closingSpeed > 0
+      ? Math.max(0, (block.getLeft() - this.wallPosition) / closingSpeed)
+      : 0
+  }
+
+  rightWallImpactTime(block) {
+    if (this.friction > 0) {
+      return firstContact(this.mover(block), this.wallMover(this.rightWallPosition, 0))
+    }
+    if (!this.isMovingRight(block)) return null
+
+    return block.velocity > 0
+      ? Math.max(0, (this.rightWallPosition - block.getRight()) / block.velocity)
+      : 0
+  }
+
+  pairImpactTime(left, right) {
+    if (left === this.springContact) {
+      return this.springContactImpactTime(right)
+    }
+    if (this.friction > 0) {
+      return firstContact(this.mover(left), this.mover(right))
+    }
+    if (!this.areClosing(left, right)) return null
+
+    const closingSpeed = left.velocity - right.velocity
+    return closingSpeed > 0
+      ? Math.max(0, (right.getLeft() - left.getRight()) / closingSpeed)
+      : 0
+  }
+
+  leftWallVelocity() {
+    return this.boundary === 'moving' ? this.wallVelocity : 0
+  }
+
+  // A block touching the spring moves harmonically about the rest line:
+  // u(τ) = u0·cos ωτ + (v0/ω)·sin ωτ, with ω = √(k/m) and u its left edge's
+  // offset from the rest line. The parameters restart whenever another block
+  // knocks into it; `fresh` marks a contact that began right on the rest line
+  // and has not been disturbed since.
+  beginSpringContact(block, fresh = false) {
+    this.springContact = block
+    block.spring = {
+      omega: Math.sqrt(this.springStiffness / block.mass),
+      u0: block.x - this.wallPosition,
+      v0: block.velocity,
+      elapsed: 0,
+      fresh: fresh
+    }
+  }
+
+  advanceSpringContact(deltaTime) {
+    const block = this.springContact
+    const spring = block.spring
+    spring.elapsed += deltaTime
+
+    const phase = spring.omega * spring.elapsed
+    block.x = this.wallPosition + this.springOffset(spring, spring.elapsed)
+    block.velocity = -spring.u0 * spring.omega * Math.sin(phase) + spring.v0 * Math.cos(phase)
+  }
+
+  springOffset(spring, elapsed) {
+    const phase = spring.omega * elapsed
+    return spring.u0 * Math.cos(phase) + (spring.v0 / spring.omega) * Math.sin(phase)
+  }
+
+  // Time until the block is back on the rest line and moving out: writing
+  // u = R·cos(ωτ − φ), that is the next τ with ωτ − φ = −π/2 (mod 2π)
+  springReleaseTime() {
+    const spring = this.springContact.spring
+    const phi = Math.atan2(spring.v0 / spring.omega, spring.u0)
+    const period = 2 * Math.PI / spring.omega
+    let release = (phi - Math.PI / 2) / spring.omega
+    while (release < spring.elapsed - 1e-12) {
+      release += period
+    }
+    return Math.max(0, release - spring.elapsed)
+  }
+
+  // The harmonic motion of the block on the spring rules out a closed form
+  // for when its neighbour catches it, so sample the gap across the rest of
+  // the contact and bisect the first sign change
+  springContactImpactTime(right) {
+    const block = this.springContact
+    const spring = block.spring
+    const horizon = this.springReleaseTime()
+    const incoming = this.mover(right)
+    const gap = time => moverAt(incoming, time).x -
+      (this.wallPosition + this.springOffset(spring, spring.elapsed + time) + block.width)
+
+    if (gap(0) <= 0) {
+      return right.velocity < block.velocity ? 0 : null
+    }
+
+    let before = 0
+    for (let i = 1; i <= SPRING_SAMPLES; i++) {
+      const after = horizon * i / SPRING_SAMPLES
+      if (gap(after) <= 0) {
+        let low = before
+        let high = after
+        for (let j = 0; j < 60; j++) {
+          const middle = (low + high) / 2
+          if (gap(middle) > 0) {
+            low = middle
+          } else {
+            high = middle
+          }
+        }
+        return high
+      }
+      before = after
+    }
+
+    return null
+  }
+
+  orderedBlocks() {
+    return [...this.blocks].sort((a, b) => a.x - b.x)
+  }
+
+  // Whether an impact can happen at all is decided on the exact velocities
+  // when they exist; only its timing comes from the float64 approximation
+  isApproachingWall(block) {
+    const wallVelocity = this.leftWallVelocity()
+    if (this.arithmetic !== 'exact') return block.velocity < wallVelocity
+
+    return wallVelocity === 0
+      ? block.exactVelocity.sign() < 0
+      : block.exactVelocity.compare(Rational.fromNumber(wallVelocity)) < 0
+  }
+
+  isMovingRight(block) {
+    return this.arithmetic === 'exact'
+      ? block.exactVelocity.sign() > 0
+      : block.velocity > 0
+  }
+
+  areClosing(left, right) {
+    return this.arithmetic === 'exact'
+      ? left.exactVelocity.compare(right.exactVelocity) > 0
+      : left.velocity > right.velocity
+  }
+
+  // Flags the first collision after which the float64 shadow velocities
+  // would choose differently from the exact ones about what can happen next
+  checkFloatDivergence() {
+    if (this.arithmetic !== 'exact' || this.floatDivergence) return
+
+    const ordered = this.orderedBlocks()
+    const diverged = ordered.some((block, i) => {
+      if ((block.floatVelocity < this.leftWallVelocity()) !== this.isApproachingWall(block)) return true
+
+      const right = ordered[i + 1]
+      return right !== undefined &&
+        (block.floatVelocity > right.floatVelocity) !== this.areClosing(block, right)
+    })
+
+    if (diverged) {
+      this.floatDivergence = { collision: this.collisionCount, time: this.time }
+    }
+  }
+
+  // A wall moving at u sends a block at v back at 2u − v; a fixed wall
+  // just flips the sign. With restitution e < 1 the block leaves at
+  // u − e(v − u), losing ½m(v − u)²(1 − e²) in the wall's frame.
+  reflectFromWall(block, wallVelocity = 0, restitution = 1) {
+    if (restitution !== 1) {
+      this.reflectInelastically(block, wallVelocity, restitution)
+      return
+    }
+
+    block.velocity = 2 * wallVelocity - block.velocity
+    if (this.arithmetic === 'exact') {
+      block.exactVelocity = wallVelocity === 0
+        ? block.exactVelocity.neg()
+        : Rational.fromNumber(2 * wallVelocity).sub(block.exactVelocity)
+      block.floatVelocity = 2 * wallVelocity - block.floatVelocity
+    }
+  }
+
+  reflectInelastically(block, wallVelocity, restitution) {
+    const before = block.velocity - wallVelocity
+    let after = -restitution * before
+    if (Math.abs(after) < REST_SPEED) {
+      after = 0
+    }
+    this.collisionLoss += 0.5 * block.mass * (before ** 2 - after ** 2)
+    block.velocity = wallVelocity + after
+
+    if (this.arithmetic === 'exact') {
+      const u = Rational.fromNumber(wallVelocity)
+      const e = Rational.fromNumber(after === 0 ? 0 : restitution)
+      block.exactVelocity = u.sub(e.mul(block.exactVelocity.sub(u))).reduce()
+      block.velocity = block.exactVelocity.toNumber()
+      block.floatVelocity = wallVelocity - (after === 0 ? 0 : restitution) * (block.floatVelocity - wallVelocity)
+    }
+  }
+
+  resolveCollision(collision) {
+    const { block1, block2 } = collision
+
+    if (collision.type === 'spring') {
+      // Touching the bumper is not a collision yet; the spring's push back
+      // out is counted as the wall hit when the block leaves it
+      block1.x = this.wallPosition
+      this.beginSpringContact(block1, true)
+      this.recordKeyframe()
+    } else if (collision.type === 'wall' && block1 === this.springContact) {
+      this.releaseSpringContact(block1)
+      this.countWallCollision(block1, 'left')
+    } else if (collision.type === 'wall') {
+      this.bounceOffWall(block1, collision.side)
+      this.countWallCollision(block1, collision.side)
+    } else {
+      block2.x = block1.getRight() // Snap into contact to stop drift
+      this.resolveSpringAwareCollision(block1, block2)
+      this.countBlockCollision(block1, block2)
+    }
+  }
+
+  bounceOffWall(block, side) {
+    if (side === 'right') {
+      this.reflectFromWall(block, 0, this.rightWallRestitution)
+      block.x = this.rightWallPosition - block.width // Snap to the wall to stop drift
+    } else {
+      this.reflectFromWall(block, this.leftWallVelocity(), this.wallRestitution)
+      block.x = this.wallPosition // Snap to the wall to stop drift
+    }
+  }
+
+  countWallCollision(block, side) {
+    this.collisionCount++
+    this.wallCollisions++
+    this.lastCollisionAt = this.time
+    this.recordCollision('wall', block, null, side)
+    this.checkFloatDivergence()
+    this.checkRecurrence()
+    this.recordKeyframe()
+  }
+
+  countBlockCollision(block1, block2) {
+    this.collisionCount++
+    this.blockCollisions++
+    this.lastCollisionAt = this.time
+    this.recordCollision('blocks', block1, block2)
+    this.checkFloatDivergence()
+    this.checkRecurrence()
+    this.recordKeyframe()
+  }
+
+  // Leaving the spring undisturbed returns the block at exactly the speed it
+  // arrived with, so exact arithmetic survives a plain bounce. A block that
+  // was knocked mid-contact has a velocity only known in float64, and its
+  // exact state picks up from there.
+  releaseSpringContact(block) {
+    this.springContact = null
+    block.x = this.wallPosition
+    if (block.spring.fresh) {
+      block.velocity = -block.spring.v0
+      if (this.arithmetic === 'exact') {
+        block.exactVelocity = block.exactVelocity.neg()
+        block.floatVelocity = -block.floatVelocity
+      }
+    } else {
+      block.velocity = Math.abs(block.velocity)
+      if (this.arithmetic === 'exact') {
+        this.initializeExactState(block)
+      }
+    }
+    delete block.spring
+  }
+
+  // A block on the spring is mid-oscillation, so after the impact its
+  // harmonic motion restarts from the new velocity
+  resolveSpringAwareCollision(block1, block2) {
+    const onSpring = block1 === this.springContact || block2 === this.springContact
+    if (onSpring && this.arithmetic === 'exact') {
+      this.initializeExactState(this.springContact)
+    }
+
+    this.resolveBlockCollision(block1, block2)
+
+    if (onSpring) {
+      this.beginSpringContact(this.springContact)
+    }
+  }
+
+  checkWallCollisions() {
+    const wallVelocity = this.leftWallVelocity()
+
+    this.blocks.forEach(block => {
+      if (this.boundary === 'spring') {
+        // The spring takes over from the moment a block crosses its rest line
+        if (block === this.springContact) {
+          if (block.getLeft() >= this.wallPosition && block.velocity > 0) {
+            this.releaseSpringContact(block)
+            this.countWallCollision(block, 'left')
+          }
+        } else if (!this.springContact && block.getLeft() < this.wallPosition && block.velocity < 0) {
+          this.beginSpringContact(block)
+          this.recordKeyframe()
+        }
+      } else if (this.boundary !== 'none' && block.getLeft() <= this.wallPosition && block.velocity < wallVelocity) {
+        // Collision with wall - perfectly elastic
+        this.bounceOffWall(block, 'left')
+        this.countWallCollision(block, 'left')
+      }
+
+      if (this.boundary === 'box' && block.getRight() >= this.rightWallPosition && block.velocity > 0) {
+        this.bounceOffWall(block, 'right')
+        this.countWallCollision(block, 'right')
+      }
+    })
+  }
+
+  // A box never finishes; instead count how often every block is back at
+  // its starting velocity. That happens when θ is a rational multiple of π,
+  // e.g. equal masses or a 1:3 ratio.
+  checkRecurrence() {
+    if (this.boundary !== 'box') return
+
+    const scale = Math.max(...this.blocks.map(block => Math.abs(block.originalVelocity)))
+    const recurred = this.blocks.every(block => this.arithmetic === 'exact'
+      ? block.exactVelocity.compare(Rational.fromNumber(block.originalVelocity)) === 0
+      : Math.abs(block.velocity - block.originalVelocity) <= scale * 1e-9)
+
+    if (recurred) {
+      this.recurrences++
+      if (this.period === null) {
+        this.period = this.collisionCount
+      }
+    }
+  }
+
+  // A box never finishes while anything moves, and nor does a wall moving
+  // into blocks that friction keeps slowing below its speed
+  runsForever() {
+    if (this.boundary === 'moving') {
+      return this.wallVelocity > 0 && this.friction > 0 && this.blocks.length > 0
+    }
+    return this.boundary === 'box' && this.blocks.some(block => block.velocity !== 0)
+  }
+
+  checkBlockCollisions() {
+    for (let i = 0; i < this.blocks.length; i++) {
+      for (let j = i + 1; j < this.blocks.length; j++) {
+        const block1 = this.blocks[i]
+        const block2 = this.blocks[j]
+        
+        if (this.areColliding(block1, block2)) {
+          this.resolveSpringAwareCollision(block1, block2)
+          this.countBlockCollision(block1, block2)
+        }
+      }
+    }
+  }
+
+  areColliding(block1, block2) {
+    return (block1.getRight() >= block2.getLeft() && 
+            block1.getLeft() <= block2.getRight()) &&
+           ((block1.velocity > 0 && block2.velocity < block1.velocity) ||
+            (block2.velocity < 0 && block1.velocity > block2.velocity) ||
+            (block1.velocity > 0 && block2.velocity <= 0) ||
+            (block1.velocity <= 0 && block2.velocity > 0))
+  }
+
+  resolveBlockCollision(block1, block2) {
+    // 1D collision, perfectly elastic unless the pair has a restitution below 1
+    const m1 = block1.mass
+    const m2 = block2.mass
+    const restitution = this.restitutionBetween(block1, block2)
+    const [left, right] = block1.x <= block2.x ? [block1, block2] : [block2, block1]
+
+    const stack = restitution !== 1 || this.wallRestitution !== 1 ? this.wallStack(left) : null
+    if (stack) {
+      // Blocks pressed together against the wall take the impact as one body
+      // with it, whatever their own speeds, and pass it straight on, losing
+      // energy at both contacts. Resolving it pairwise instead would trade
+      // ever-smaller bounces with the wall an unbounded number of times, all
+      // at the same moment.
+      const wallVelocity = this.leftWallVelocity()
+      stack.forEach(block => {
+        this.collisionLoss += 0.5 * block.mass * (block.velocity - wallVelocity) ** 2
+        this.moveWithWall(block)
+      })
+      this.reflectFromWall(right, wallVelocity, restitution * this.wallRestitution)
+      this.settle(right)
+    } else if (restitution !== 1) {
+      const energyBefore = 0.5 * m1 * block1.velocity ** 2 + 0.5 * m2 * block2.velocity ** 2
+      this.applyBlockVelocities(block1, block2, restitution)
+      this.settle(block1)
+      this.settle(block2)
+      this.collisionLoss += energyBefore - (0.5 * m1 * block1.velocity ** 2 + 0.5 * m2 * block2.velocity ** 2)
+    } else {
+      this.applyBlockVelocities(block1, block2, restitution)
+    }
+
+    // Separate blocks to prevent multiple collision detection
+    const overlap = block1.getRight() - block2.getLeft()
+    if (overlap > 0) {
+      const totalMass = m1 + m2
+      block1.x -= overlap * (m2 / totalMass)
+      block2.x += overlap * (m1 / totalMass)
+    }
+  }
+
+  elasticVelocities(m1, m2, v1, v2) {
+    // Calculate new velocities using conservation of momentum and energy
+    const newV1 = ((m1 - m2) * v1 + 2 * m2 * v2) / (m1 + m2)
+    const newV2 = ((m2 - m1) * v2 + 2 * m1 * v1) / (m1 + m2)
+    return [newV1, newV2]
+  }
+
+  applyBlockVelocities(block1, block2, restitution) {
+    if (this.arithmetic === 'exact') {
+      this.resolveExactCollision(block1, block2, restitution)
+      return
+    }
+
+    const [newV1, newV2] = restitution === 1
+      ? this.elasticVelocities(block1.mass, block2.mass, block1.velocity, block2.velocity)
+      : this.inelasticVelocities(block1.mass, block2.mass, block1.velocity, block2.velocity, restitution)
+    block1.velocity = newV1
+    block2.velocity = newV2
+  }
+
+  // The blocks from the left wall up to and including `block` when each
+  // touches the one before it and the first touches the wall, else null
+  wallStack(block) {
+    if (this.boundary === 'none' || this.boundary === 'spring') return null
+
+    const stack = []
+    let edge = this.wallPosition
+    for (const candidate of this.orderedBlocks()) {
+      if (Math.abs(candidate.x - edge) > 1e-6) return null
+      stack.push(candidate)
+      if (candidate === block) return stack
+      edge = candidate.getRight()
+    }
+    return null
+  }
+
+  // Stops a block that is left creeping at almost the wall's speed, as when
+  // a cluster of stuck blocks is pressed against the wall
+  settle(block) {
+    const wallVelocity = this.leftWallVelocity()
+    if (block.velocity === wallVelocity || Math.abs(block.velocity - wallVelocity) >= REST_SPEED) return
+
+    this.moveWithWall(block)
+  }
+
+  moveWithWall(block) {
+    const wallVelocity = this.leftWallVelocity()
+    block.velocity = wallVelocity
+    if (this.arithmetic === 'exact') {
+      block.exactVelocity = Rational.fromNumber(wallVelocity)
+      block.floatVelocity = wallVelocity
+    }
+  }
+
+  // With restitution e the centre-of-mass velocity is kept and the
+  // relative velocity is reversed and scaled by e
+  inelasticVelocities(m1, m2, v1, v2, restitution) {
+    const centre = (m1 * v1 + m2 * v2) / (m1 + m2)
+    const e = Math.abs(v1 - v2) * restitution < REST_SPEED ? 0 : restitution
+    return [centre - e * m2 * (v1 - v2) / (m1 + m2), centre + e * m1 * (v1 - v2) / (m1 + m2)]
+  }
+
+  resolveExactCollision(block1, block2, restitution = 1) {
+    // Only the mass ratio matters, so scale both masses to integers; the
+    // new velocities then share a single denominator
+    const m1 = new Rational(block1.exactMass.num * block2.exactMass.den)
+    const m2 = new Rational(block2.exactMass.num * block1.exactMass.den)
+    const v1 = block1.exactVelocity
+    const v2 = block2.exactVelocity
+    const totalMass = m1.add(m2)
+
+    if (restitution === 1) {
+      const two = new Rational(2n)
+      block1.exactVelocity = m1.sub(m2).mul(v1).add(two.mul(m2).mul(v2)).div(totalMass)
+      block2.exactVelocity = m2.sub(m1).mul(v2).add(two.mul(m1).mul(v1)).div(totalMass)
+    } else {
+      // v1' = ((m1 − e·m2)·v1 + (1 + e)·m2·v2) / (m1 + m2), and likewise v2'
+      const sticks = Math.abs(block1.velocity - block2.velocity) * restitution < REST_SPEED
+      const e = Rational.fromNumber(sticks ? 0 : restitution)
+      const onePlusE = new Rational(1n).add(e)
+      block1.exactVelocity = m1.sub(e.mul(m2)).mul(v1).add(onePlusE.mul(m2).mul(v2)).div(totalMass).reduce()
+      block2.exactVelocity = m2.sub(e.mul(m1)).mul(v2).add(onePlusE.mul(m1).mul(v1)).div(totalMass).reduce()
+    }
+    block1.velocity = block1.exactVelocity.toNumber()
+    block2.velocity = block2.exactVelocity.toNumber()
+
+    // Replay the same collision in float64 to find where it would part ways
+    const [floatV1, floatV2] = restitution === 1
+      ? this.elasticVelocities(block1.mass, block2.mass, block1.floatVelocity, block2.floatVelocity)
+      : this.inelasticVelocities(block1.mass, block2.mass, block1.floatVelocity, block2.floatVelocity, restitution)
+    block1.floatVelocity = floatV1
+    block2.floatVelocity = floatV2
+  }
+
+  recordCollision(type, block1, block2 = null, side = null) {
+    if (!this.recordHistory) return
+
+    this.addEffect(type, block1, block2, side)
+    const log = this.collisionHistory
+    log.push(type, side, this.time, this.blocks, this.getKineticEnergy(), this.getMomentum())
+    if (this.onCollisionRecorded) this.onCollisionRecorded(log.at(log.length - 1))
+  }
+
+  // The right block's left edge is the contact point between blocks
+  addEffect(type, block1, block2, side) {
+    let x = block2 ? block2.x : this.wallPosition
+    if (type === 'wall' && side === 'right') {
+      x = this.rightWallPosition
+    }
+    this.effects.push({ type: type, x: x, wallTime: this.clock() })
+    if (this.effects.length > MAX_EFFECTS) {
+      this.effects.shift()
+    }
+  }
+
+  getKineticEnergy() {
+    return this.blocks.reduce((sum, block) => sum + 0.5 * block.mass * block.velocity ** 2, 0)
+  }
+
+  // Whether kinetic energy can only be exchanged, never lost
+  isConservative() {
+    return this.friction === 0 && this.restitution === 1 &&
+      this.wallRestitution === 1 && this.rightWallRestitution === 1 &&
+      [...this.pairRestitution.values()].every(coefficient => coefficient === 1)
+  }
+
+  getEnergyLost() {
+    return this.collisionLoss + this.frictionLoss
+  }
+
+  getMomentum() {
+    return this.blocks.reduce((sum, block) => sum + block.mass * block.velocity, 0)
+  }
+
+  // What draw() shows, in words, for screen readers: the walls, then each
+  // block's position and motion, then the count so far
+  describe() {
+    const sentences = []
+    const walls = {
+      wall: `Fixed wall at x = ${Math.round(this.wallPosition)}.`,
+      moving: `Wall at x = ${Math.round(this.wallPosition)}, moving at ${this.wallVelocity} px/s.`,
+      spring: `Spring wall at x = ${Math.round(this.wallPosition)}.`,
+      box: `Walls at x = ${Math.round(this.wallPosition)} and x = ${Math.round(this.rightWallPosition)}.`
+    }
+    if (walls[this.boundary]) sentences.push(walls[this.boundary])
+
+    this.blocks.forEach((block, i) => {
+      const speed = Math.abs(block.velocity)
+      const motion = speed < REST_SPEED
+        ? 'at rest'
+        : `moving ${block.velocity < 0 ? 'left' : 'right'} at ${Number(speed.toPrecision(3))} px/s`
+      sentences.push(`Block ${i + 1}, mass ${Block.formatMass(block.mass)}, at x = ${Math.round(block.x)}, ${motion}.`)
+    })
+
+    sentences.push(`${this.collisionCount.toLocaleString()} ${this.collisionCount === 1 ? 'collision' : 'collisions'} after ${this.time.toFixed(2)} s.`)
+    return sentences.join(' ')
+  }
+
+  // camera, if given, is a Camera that sets which part of the world is in
+  // view; without one the canvas shows x from 0 to canvasWidth
+  draw(ctx, canvasWidth, canvasHeight, camera = null) {
+    // Sky and ground; the camera keeps the ground line in place
+    ctx.drawImage(this.backgroundLayer(canvasWidth, canvasHeight), 0, 0)
+    
+    const groundY = canvasHeight - 50
+    const view = camera ? camera.view() : { left: 0, right: canvasWidth, top: 0 }
+    ctx.save()
+    if (camera) {
+      camera.apply(ctx)
+    }
+    
+    // Draw walls
+    if (this.boundary === 'spring') {
+      this.drawWall(ctx, this.wallPosition - SPRING_LENGTH, 'left', view, groundY)
+      this.drawSpring(ctx, groundY)
+    } else if (this.boundary !== 'none') {
+      this.drawWall(ctx, this.wallPosition, 'left', view, groundY)
+    }
+    if (this.boundary === 'box') {
+      this.drawWall(ctx, this.rightWallPosition, 'right', view, groundY)
+    }
+    
+    // Draw blocks
+    this.blocks.forEach(block => {
+      block.draw(ctx)
+    })
+    
+    // Draw collision sparks if recent collision
+    this.drawCollisionEffects(ctx)
+    ctx.restore()
+  }
+
+  // A wall is immovable, so it is solid from its face out past the edge of
+  // the view. The brick texture covers the WALL_THICKNESS next to the face
+  // and is clipped to the wall, so it never spills onto the ground.
+  drawWall(ctx, face, side, view, groundY) {
+    const outer = side === 'left'
+      ? Math.min(view.left, face - WALL_THICKNESS)
+      : Math.max(view.right, face + WALL_THICKNESS)
+    const top = Math.min(0, view.top)
+    
+    ctx.fillStyle = '#696969'
+    ctx.fillRect(Math.min(face, outer), top, Math.abs(face - outer), groundY - top)
+    
+    // Wall pattern
+    const strip = side === 'left' ? face - WALL_THICKNESS : face
+    ctx.fillStyle = this.wallPattern(ctx)
+    ctx.fillRect(strip, top, WALL_THICKNESS, groundY - top)
+  }
+
+  // Sky gradient and ground, drawn once per canvas size and then copied
+  backgroundLayer(width, height) {
+    const cached = this.layers.background
+    if (cached && cached.width === width && cached.height === height) {
+      return cached
+    }
+
+    const layer = createLayer(width, height)
+    const ctx = layer.getContext('2d')
+    const gradient = ctx.createLinearGradient(0, 0, 0, height)
+    gradient.addColorStop(0, '#87CEEB')
+    gradient.addColorStop(1, '#E0F6FF')
+    ctx.fillStyle = gradient
+    ctx.fillRect(0, 0, width, height)
+    
+    ctx.fillStyle = '#8B4513'
+    ctx.fillRect(0, height - 50, width, 50)
+    
+    this.layers.background = layer
+    return layer
+  }
+
+  // Alternating 40px bands of darker stone; a repeating pattern fills any
+  // height of wall in one call, and is anchored to world y = 0 so the bands
+  // stay put as the camera moves
+  wallPattern(ctx) {
+    if (!this.layers.wall) {
+      const tile = createLayer(WALL_THICKNESS, 80)
+      const tileCtx = tile.getContext('2d')
+      tileCtx.fillStyle = '#555555'
+      tileCtx.fillRect(0, 0, WALL_THICKNESS, 40)
+      this.layers.wall = ctx.createPattern(tile, 'repeat')
+    }
+    return this.layers.wall
+  }
+
+  // Zigzag from the anchor to a plate that sits on the rest line, or
+  // against the block compressing it
+  drawSpring(ctx, groundY) {
+    const anchor = this.wallPosition - SPRING_LENGTH
+    const plate = this.springContact ? Math.min(this.wallPosition, this.springContact.x) : this.wallPosition
+    const top = groundY - 50
+    const bottom = groundY - 10
+    const coils = 6
+    
+    ctx.strokeStyle = '#2f3542'
+    ctx.lineWidth = 2
+    const rails = [top + 8, bottom - 8]
+    rails.forEach(y => {
+      ctx.beginPath()
+      ctx.moveTo(anchor, y)
+      for (let i = 1; i <= coils; i++) {
+        const x = anchor + (plate - 3 - anchor) * (i - 0.5) / coils
+        ctx.lineTo(x, y + (i % 2 === 0 ? 5 : -5))
+      }
+      ctx.lineTo(plate - 3, y)
+      ctx.stroke()
+    })
+    
+    ctx.fillStyle = '#57606f'
+    ctx.fillRect(plate - 3, top, 3, bottom - top)
+  }
+
+  // effects is in time order and capped at MAX_EFFECTS, so expired sparks
+  // come off the front and the cost per frame stays flat however long the run
+  drawCollisionEffects(ctx) {
+    const now = this.clock()
+    while (this.effects.length > 0 && now - this.effects[0].wallTime >= EFFECT_DURATION) {
+      this.effects.shift()
+    }
+    
+    this.effects.forEach(effect => {
+      this.drawSparks(ctx, effect.x, 200, effect.type === 'wall' ? '#FFD700' : '#FF6347')
+    })
+  }
+
+  drawSparks(ctx, x, y, color) {
+    ctx.fillStyle = color
+    for (let i = 0; i < 8; i++) {
+      const angle = (i / 8) * Math.PI * 2
+      const radius = this.random() * 20 + 10
+      const sparkX = x + Math.cos(angle) * radius
+      const sparkY = y + Math.sin(angle) * radius
+      
+      ctx.beginPath()
+      ctx.arc(sparkX, sparkY, 3, 0, Math.PI * 2)
+      ctx.fill()
+    }
+  }
+
+  isSimulationComplete() {
+    // Complete once no further collision is possible: nothing is heading for
+    // the wall and every neighbouring pair is separating, which holds for a
+    // chain of any length
+    if (this.blocks.length === 0) return false
+
+    return this.findNextCollision() === null
+  }
+
+  getDigitsOfPi(collisionCount) {
+    const digits = collisionCount.toString()
+    return PiDigits.format(PiDigits.first(digits.length))
+  }
+
+  // Lines the digits of a collision count up against π and counts how many
+  // leading digits agree, e.g. 314 matches 3 digits and 299 matches none
+  matchPiDigits(collisionCount) {
+    const digits = collisionCount.toString()
+    const pi = PiDigits.first(digits.length)
+
+    let matching = 0
+    while (matching < digits.length && digits[matching] === pi[matching]) {
+      matching++
+    }
+
+    return { digits, pi, matching }
+  }
+}
@@ -0,0 +1,110 @@
+import { PiDigits } from "simulation/physics_engine"
+
+// Results of a finished run in a modal <dialog>. showModal() makes the rest
+// of the page inert; on top of that Tab and Shift+Tab wrap around inside the
+// dialog rather than leaving for the browser's toolbar, Escape closes it, and
+// focus goes back to wherever it was before the dialog opened.
+export default class ResultsDialog {
+  constructor(dialog, { onRunAgain, onNextRatio }) {
+    this.dialog = dialog
+    this.previousFocus = null
+
+    const title = document.createElement('h2')
+    title.id = 'results-dialog-title'
+    title.textContent = 'Simulation Complete'
+    this.count = document.createElement('p')
+    this.count.className = 'results-count'
+    this.digits = document.createElement('div')
+    this.digits.className = 'results-digits'
+    this.body = document.createElement('div')
+
+    this.runAgainButton = this.button('Run Again', onRunAgain)
+    this.nextRatioButton = this.button('Next Ratio', onNextRatio)
+    const closeButton = this.button('Close', () => {})
+    const actions = document.createElement('div')
+    actions.className = 'button-group results-actions'
+    actions.append(this.runAgainButton, this.nextRatioButton, closeButton)
+
+    dialog.setAttribute('aria-labelledby', title.id)
+    dialog.replaceChildren(title, this.count, this.digits, this.body, actions)
+    dialog.addEventListener('keydown', event => this.trapFocus(event))
+    dialog.addEventListener('close', () => this.restoreFocus())
+  }
+
+  // Every button closes the dialog before doing anything else
+  button(label, action) {
+    const button = document.createElement('button')
+    button.type = 'button'
+    button.textContent = label
+    button.addEventListener('click', () => {
+      this.dialog.close()
+      action()
+    })
+    return button
+  }
+
+  // match is from PhysicsEngine.matchPiDigits, or null when the run has no
+  // π connection; paragraphs are shown in order under it. nextRatio labels
+  // the Next Ratio button, which is hidden without one.
+  show({ collisions, match, paragraphs, nextRatio }) {
+    this.count.textContent = `${collisions.toLocaleString()} ${collisions === 1 ? 'collision' : 'collisions'}`
+    this.renderDigits(match)
+    this.body.replaceChildren(...paragraphs.map(text => {
+      const paragraph = document.createElement('p')
+      paragraph.textContent = text
+      return paragraph
+    }))
+
+    this.nextRatioButton.hidden = !nextRatio
+    this.nextRatioButton.textContent = nextRatio ? `Next Ratio (${nextRatio})` : 'Next Ratio'
+
+    this.previousFocus = document.activeElement
+    this.dialog.showModal()
+    this.runAgainButton.focus()
+  }
+
+  // The count as a π approximation with each digit marked right or wrong;
+  // the marks are for sighted users, the sentence under them for everyone
+  renderDigits(match) {
+    this.digits.hidden = !match
+    if (!match) return
+
+    const marks = document.createElement('p')
+    marks.className = 'results-marks'
+    marks.setAttribute('aria-hidden', 'true')
+    match.digits.split('').forEach((digit, i) => {
+      const mark = document.createElement('span')
+      mark.className = digit === match.pi[i] ? 'pi-match' : 'pi-mismatch'
+      mark.textContent = `${digit}${digit === match.pi[i] ? '✓' : '✗'}`
+      marks.append(mark, ' ')
+    })
+
+    const summary = document.createElement('p')
+    summary.textContent = `π ≈ ${PiDigits.format(match.digits)}: ${match.matching} of ${match.digits.length} ` +
+      `digits match π (${PiDigits.format(match.pi)}...)`
+
+    this.digits.replaceChildren(marks, summary)
+  }
+
+  trapFocus(event) {
+    if (event.key !== 'Tab') return
+
+    const focusable = [...this.dialog.querySelectorAll('button')].filter(button => !button.hidden)
+    const first = focusable[0]
+    const last = focusable[focusable.length - 1]
+    if (event.shiftKey && document.activeElement === first) {
+      event.preventDefault()
+      last.focus()
+    } else if (!event.shiftKey && document.activeElement === last) {
+      event.preventDefault()
+      first.focus()
+    }
+  }
+
+  restoreFocus() {
+    if (this.previousFocus && this.previousFocus.isConnected) {
+      this.previousFocus.focus()
+    }
+    this.previousFocus = null
+  }
+}
@@ -0,0 +1,181 @@
+// Records a run frame by frame, either as a WebM video through canvas
+// capture or as a zip of numbered PNG frames. Frames are requested one at a
+// time and each is drawn for a fixed step of simulated time, so what ends up
+// in the file does not depend on how fast the machine renders it.
+export const FORMATS = {
+  webm: { extension: 'webm', type: 'video/webm' },
+  png: { extension: 'zip', type: 'application/zip' }
+}
+
+// render(frame) draws the given frame onto the canvas; done() is asked after
+// each one whether that was the last. Rejects with an AbortError once signal
+// is aborted.
+export async function exportFrames(canvas, { format, fps, maxFrames, render, done, signal, onProgress = () => {} }) {
+  const recorder = format === 'webm' ? new WebmRecorder(canvas, fps) : new PngSequence(canvas)
+
+  let frame = 0
+  while (frame < maxFrames) {
+    if (signal && signal.aborted) {
+      recorder.cancel()
+      throw new DOMException('Export cancelled', 'AbortError')
+    }
+
+    render(frame)
+    await recorder.addFrame(frame)
+    frame++
+    onProgress(frame)
+    if (done()) break
+  }
+
+  return { blob: await recorder.finish(), frames: frame }
+}
+
+class WebmRecorder {
+  constructor(canvas, fps) {
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+      .find(type => window.MediaRecorder && MediaRecorder.isTypeSupported(type))
+    if (!canvas.captureStream || !mimeType) {
+      throw new Error('this browser cannot record WebM video; export PNG frames instead')
+    }
+
+    // A frame rate of 0 means frames are only captured on requestFrame()
+    this.stream = canvas.captureStream(0)
+    this.track = this.stream.getVideoTracks()[0]
+    this.interval = 1000 / fps
+    this.chunks = []
+    this.recorder = new MediaRecorder(this.stream, { mimeType, videoBitsPerSecond: 8000000 })
+    this.recorder.addEventListener('dataavailable', event => this.chunks.push(event.data))
+    this.recorder.start()
+  }
+
+  // MediaRecorder stamps each frame with the wall-clock time it arrives, so
+  // frames are handed over at the video's own rate
+  async addFrame() {
+    this.track.requestFrame()
+    await new Promise(resolve => setTimeout(resolve, this.interval))
+  }
+
+  finish() {
+    return new Promise(resolve => {
+      this.recorder.addEventListener('stop', () => {
+        this.track.stop()
+        resolve(new Blob(this.chunks, { type: FORMATS.webm.type }))
+      })
+      this.recorder.stop()
+    })
+  }
+
+  cancel() {
+    this.recorder.stop()
+    this.track.stop()
+  }
+}
+
+class PngSequence {
+  constructor(canvas) {
+    this.canvas = canvas
+    this.files = []
+  }
+
+  async addFrame(frame) {
+    const blob = await new Promise(resolve => this.canvas.toBlob(resolve, 'image/png'))
+    this.files.push({
+      name: `frame-${String(frame).padStart(5, '0')}.png`,
+      data: new Uint8Array(await blob.arrayBuffer())
+    })
+  }
+
+  finish() {
+    return new Blob([createZip(this.files)], { type: FORMATS.png.type })
+  }
+
+  cancel() {
+    this.files = []
+  }
+}
+
+// Small, fast and seedable (mulberry32); stands in for Math.random where the
+// same seed has to give the same frames
+export function seededRandom(seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+// An uncompressed ("stored") zip archive of [{ name, data: Uint8Array }].
+// PNGs are compressed already, so deflating them again would gain little.
+// Every entry is dated 1980-01-01, the earliest DOS date, so the same frames
+// always make the same archive.
+export function createZip(files) {
+  const encoder = new TextEncoder()
+  const entries = files.map(file => ({ name: encoder.encode(file.name), data: file.data, crc: crc32(file.data) }))
+
+  const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0)
+  const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0)
+  const bytes = new Uint8Array(localSize + centralSize + 22)
+  const view = new DataView(bytes.buffer)
+
+  let offset = 0
+  entries.forEach(entry => {
+    entry.offset = offset
+    view.setUint32(offset, 0x04034b50, true) // local file header
+    writeEntryFields(view, offset + 4, entry)
+    bytes.set(entry.name, offset + 30)
+    bytes.set(entry.data, offset + 30 + entry.name.length)
+    offset += 30 + entry.name.length + entry.data.length
+  })
+
+  const centralStart = offset
+  entries.forEach(entry => {
+    view.setUint32(offset, 0x02014b50, true) // central directory header
+    view.setUint16(offset + 4, 20, true) // made by version 2.0
+    writeEntryFields(view, offset + 6, entry)
+    view.setUint32(offset + 42, entry.offset, true)
+    bytes.set(entry.name, offset + 46)
+    offset += 46 + entry.name.length
+  })
+
+  view.setUint32(offset, 0x06054b50, true) // end of central directory
+  view.setUint16(offset + 8, entries.length, true)
+  view.setUint16(offset + 10, entries.length, true)
+  view.setUint32(offset + 12, offset - centralStart, true)
+  view.setUint32(offset + 16, centralStart, true)
+  return bytes
+}
+
+// The fields local and central headers share, from "version needed" to the
+// name length; everything not written here stays zero
+function writeEntryFields(view, offset, entry) {
+  view.setUint16(offset, 20, true) // version needed to extract
+  view.setUint16(offset + 8, 0x0021, true) // DOS date 1980-01-01
+  view.setUint32(offset + 10, entry.crc, true)
+  view.setUint32(offset + 14, entry.data.length, true) // compressed size
+  view.setUint32(offset + 18, entry.data.length, true) // uncompressed size
+  view.setUint16(offset + 22, entry.name.length, true)
+}
+
+let crcTable = null
+
+export function crc32(data) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256)
+    for (let n = 0; n < 256; n++) {
+      let c = n
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+      }
+      crcTable[n] = c
+    }
+  }
+
+  let crc = 0xFFFFFFFF
+  for (let i = 0; i < data.length; i++) {
+    crc = crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0
+}
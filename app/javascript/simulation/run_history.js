@@ -0,0 +1,102 @@
+// Finished runs, newest first, kept in localStorage so they survive a reset
+// or a reload. Each run holds the page's permalink values, which is all it
+// takes to put its setup back into the inputs, next to what came of it.
+// Storage that is full or switched off only costs the history, not the run.
+const STORAGE_KEY = 'pi-collisions-history'
+export const MAX_HISTORY = 100
+
+export default class RunHistory {
+  constructor(storage = browserStorage()) {
+    this.storage = storage
+    this.runs = this.load()
+  }
+
+  load() {
+    try {
+      const runs = JSON.parse(this.storage.getItem(STORAGE_KEY))
+      return Array.isArray(runs) ? runs : []
+    } catch {
+      return []
+    }
+  }
+
+  save() {
+    try {
+      this.storage.setItem(STORAGE_KEY, JSON.stringify(this.runs))
+    } catch {
+      // Quota exceeded or storage disabled; the list still works this session
+    }
+  }
+
+  // Stamps the run with an id and the time and keeps at most MAX_HISTORY,
+  // dropping the oldest
+  add(run) {
+    const finishedAt = Date.now()
+    const entry = { id: `${finishedAt.toString(36)}-${Math.random().toString(36).slice(2, 8)}`, finishedAt, ...run }
+    this.runs = [entry, ...this.runs].slice(0, MAX_HISTORY)
+    this.save()
+    return entry
+  }
+
+  find(id) {
+    return this.runs.find(run => run.id === id) ?? null
+  }
+
+  remove(id) {
+    this.runs = this.runs.filter(run => run.id !== id)
+    this.save()
+  }
+
+  clear() {
+    this.runs = []
+    this.save()
+  }
+}
+
+// Even reading window.localStorage throws when site data is blocked; the
+// history then only lasts as long as the page
+function browserStorage() {
+  try {
+    if (window.localStorage) return window.localStorage
+  } catch {
+    // SecurityError
+  }
+
+  const items = new Map()
+  return {
+    getItem: key => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, value)
+  }
+}
+
+// Side-by-side rows for two runs: [{ label, values: [a, b], differs }]
+export function compareRuns(a, b) {
+  const fields = [
+    ['Setup', run => run.label],
+    ['Velocity', run => run.settings.blocks ? 'per block' : run.settings.v],
+    ['Boundary', run => run.boundary],
+    ['Solver', run => run.solver],
+    ['Arithmetic', run => run.arithmetic],
+    ['Restitution (blocks / wall)', run => `${run.settings.e} / ${run.settings.ew}`],
+    ['Friction (μ)', run => run.settings.mu],
+    ['Run as', run => run.mode],
+    ['Collisions', run => run.collisionCount.toLocaleString()],
+    ['Wall collisions', run => run.wallCollisions.toLocaleString()],
+    ['Block collisions', run => run.blockCollisions.toLocaleString()],
+    ['π digits matched', describeDigits],
+    ['Energy lost', run => `${(run.energyLost * 100).toFixed(1)}%`],
+    ['Simulated time', run => `${run.simulatedTime.toFixed(3)} s`],
+    ['Run time', run => `${(run.runTime / 1000).toFixed(2)} s`],
+    ['Finished', run => new Date(run.finishedAt).toLocaleString()]
+  ]
+
+  return fields.map(([label, value]) => {
+    const values = [String(value(a)), String(value(b))]
+    return { label, values, differs: values[0] !== values[1] }
+  })
+}
+
+// "3 of 3", or a dash for runs with no π connection
+export function describeDigits(run) {
+  return run.pi ? `${run.pi.matching} of ${run.pi.digits.length}` : '—'
+}
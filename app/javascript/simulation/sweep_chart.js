@@ -0,0 +1,119 @@
+// Log-log plot of a mass-ratio sweep: the predicted count for every planned
+// ratio as a line, and each measured count as a dot once its run is in. On
+// these axes the counts climb a straight line of slope ½, since the count
+// grows as π·√(m₂/m₁).
+const PADDING = { left: 70, right: 20, top: 30, bottom: 40 }
+const PREDICTED_COLOR = '#ffd700'
+const MEASURED_COLOR = '#7bed9f'
+
+export default class SweepChart {
+  constructor(canvas) {
+    this.canvas = canvas
+    this.ctx = canvas.getContext('2d')
+  }
+
+  // rows as in sweepToCSV; collisions is null until the run has finished
+  draw(rows) {
+    const { ctx, canvas } = this
+    ctx.clearRect(0, 0, canvas.width, canvas.height)
+    ctx.fillStyle = '#10172a'
+    ctx.fillRect(0, 0, canvas.width, canvas.height)
+    if (rows.length === 0) return
+
+    // Counts of 0 have no logarithm; they sit on the bottom of the plot
+    const count = value => Math.log10(Math.max(value, 1))
+    const xs = rows.map(row => Math.log10(row.ratio))
+    const ys = rows.flatMap(row => [row.predicted, row.collisions ?? row.predicted]).map(count)
+    const xRange = this.range(Math.min(...xs), Math.max(...xs))
+    const yRange = this.range(Math.min(...ys), Math.max(...ys))
+
+    const width = canvas.width - PADDING.left - PADDING.right
+    const height = canvas.height - PADDING.top - PADDING.bottom
+    const toX = x => PADDING.left + (x - xRange.min) / (xRange.max - xRange.min) * width
+    const toY = y => PADDING.top + height - (y - yRange.min) / (yRange.max - yRange.min) * height
+
+    this.drawAxes(xRange, yRange, toX, toY)
+
+    ctx.strokeStyle = PREDICTED_COLOR
+    ctx.lineWidth = 1.5
+    ctx.setLineDash([6, 4])
+    ctx.beginPath()
+    rows.forEach((row, i) => {
+      const x = toX(xs[i])
+      const y = toY(count(row.predicted))
+      if (i === 0) {
+        ctx.moveTo(x, y)
+      } else {
+        ctx.lineTo(x, y)
+      }
+    })
+    ctx.stroke()
+    ctx.setLineDash([])
+
+    ctx.fillStyle = MEASURED_COLOR
+    rows.forEach((row, i) => {
+      if (row.collisions === null) return
+      ctx.beginPath()
+      ctx.arc(toX(xs[i]), toY(count(row.collisions)), 4, 0, Math.PI * 2)
+      ctx.fill()
+    })
+
+    this.drawLegend()
+  }
+
+  // Whole decades either side, so the ticks land on powers of ten
+  range(min, max) {
+    const low = Math.floor(min)
+    const high = Math.ceil(max)
+    return { min: low, max: high > low ? high : low + 1 }
+  }
+
+  drawAxes(xRange, yRange, toX, toY) {
+    const { ctx } = this
+    const every = span => Math.max(1, Math.ceil(span / 12))
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)'
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.7)'
+    ctx.lineWidth = 1
+    ctx.font = '12px monospace'
+
+    ctx.textAlign = 'center'
+    for (let x = xRange.min; x <= xRange.max; x += every(xRange.max - xRange.min)) {
+      this.gridLine(toX(x), toY(yRange.min), toX(x), toY(yRange.max))
+      ctx.fillText(`1e${x}`, toX(x), toY(yRange.min) + 18)
+    }
+    ctx.fillText('Mass ratio m₂/m₁', PADDING.left + (this.canvas.width - PADDING.left - PADDING.right) / 2, this.canvas.height - 6)
+
+    ctx.textAlign = 'right'
+    for (let y = yRange.min; y <= yRange.max; y += every(yRange.max - yRange.min)) {
+      this.gridLine(toX(xRange.min), toY(y), toX(xRange.max), toY(y))
+      ctx.fillText(`1e${y}`, PADDING.left - 8, toY(y) + 4)
+    }
+  }
+
+  gridLine(x1, y1, x2, y2) {
+    this.ctx.beginPath()
+    this.ctx.moveTo(x1, y1)
+    this.ctx.lineTo(x2, y2)
+    this.ctx.stroke()
+  }
+
+  drawLegend() {
+    const { ctx } = this
+    ctx.font = '12px Arial'
+    ctx.textAlign = 'left'
+
+    ctx.strokeStyle = PREDICTED_COLOR
+    ctx.setLineDash([6, 4])
+    this.gridLine(PADDING.left, 15, PADDING.left + 24, 15)
+    ctx.setLineDash([])
+    ctx.fillStyle = PREDICTED_COLOR
+    ctx.fillText('Predicted', PADDING.left + 30, 19)
+
+    ctx.fillStyle = MEASURED_COLOR
+    ctx.beginPath()
+    ctx.arc(PADDING.left + 112, 15, 4, 0, Math.PI * 2)
+    ctx.fill()
+    ctx.fillText('Simulated', PADDING.left + 122, 19)
+  }
+}
@@ -0,0 +1,39 @@
+// Automatic slow motion for collision bursts. The clock is slowed so that
+// the stretch from the last collision to the next one lasts at least
+// 1/MAX_RATE of a real second, and it eases back up to the chosen speed over
+// free flight instead of jumping, so a burst is never skipped over.
+const MAX_RATE = 20 // collisions shown per real second, at most
+const MIN_SCALE = 1e-7
+const RECOVERY = 10 // the clock speeds up at most tenfold per real second
+
+export default class TimeDilation {
+  constructor() {
+    this.scale = null
+  }
+
+  reset() {
+    this.scale = null
+  }
+
+  // Clock rate for the next deltaTime real seconds, never above baseScale
+  update(physics, baseScale, deltaTime) {
+    const target = Math.min(baseScale, Math.max(MIN_SCALE, this.interval(physics) * MAX_RATE))
+    const recovered = this.scale === null ? target : this.scale * RECOVERY ** deltaTime
+    this.scale = Math.min(target, recovered)
+    return this.scale
+  }
+
+  // Simulated time from the last collision to the next one, or Infinity once
+  // there are no more
+  interval(physics) {
+    const next = physics.findNextCollision()
+    if (!next) return Infinity
+
+    return physics.time + next.time - physics.lastCollisionTime()
+  }
+}
+
+// "×0.001", "×0.25", "×2": two significant figures, no trailing zeros
+export function formatSpeed(scale) {
+  return `×${Number(scale.toPrecision(2))}`
+}
@@ -0,0 +1,43 @@
+import { test, describe } from "node:test"
+import assert from "node:assert/strict"
+import Announcer from "../../app/javascript/simulation/announcer.js"
+
+function buildAnnouncer() {
+  const clock = { now: 0 }
+  const element = { textContent: '' }
+  const announcer = new Announcer(element, { clock: () => clock.now })
+  return { announcer, element, clock }
+}
+
+describe('screen-reader announcements', () => {
+  test('announces the count as it passes powers of ten', () => {
+    const { announcer, element } = buildAnnouncer()
+    announcer.collisions(9)
+    assert.equal(element.textContent, '')
+    announcer.collisions(31)
+    assert.equal(element.textContent, 'Passed 10 collisions')
+  })
+
+  test('holds back a milestone reached too soon after the last one', () => {
+    const { announcer, element, clock } = buildAnnouncer()
+    announcer.collisions(10)
+    clock.now = 1000
+    announcer.collisions(2500)
+    assert.equal(element.textContent, 'Passed 10 collisions')
+
+    clock.now = 3000
+    announcer.collisions(3141)
+    assert.equal(element.textContent, 'Passed 1,000 collisions')
+
+    clock.now = 10000
+    announcer.collisions(3141)
+    assert.equal(element.textContent, 'Passed 1,000 collisions')
+  })
+
+  test('announces completion straight away', () => {
+    const { announcer, element } = buildAnnouncer()
+    announcer.collisions(10)
+    announcer.announce('Simulation complete: 31 collisions')
+    assert.equal(element.textContent, 'Simulation complete: 31 collisions')
+  })
+})
@@ -0,0 +1,45 @@
+import { test, describe } from "node:test"
+import assert from "node:assert/strict"
+import { Block, PhysicsEngine } from "../../app/javascript/simulation/physics_engine.js"
+import Camera from "../../app/javascript/simulation/camera.js"
+
+// Only the size and event registration of the canvas matter here
+function buildCamera() {
+  return new Camera({ width: 800, height: 300, addEventListener() {} })
+}
+
+function buildEngine() {
+  const engine = new PhysicsEngine(50)
+  engine.addBlock(new Block(60, 190, 30, 60, 1, 0))
+  engine.addBlock(new Block(630, 190, 120, 60, 100, -100))
+  return engine
+}
+
+describe('camera', () => {
+  test('keeps the original view while everything is on the canvas', () => {
+    const camera = buildCamera()
+    camera.update(buildEngine())
+    assert.deepEqual([camera.left, camera.zoom], [0, 1])
+  })
+
+  test('zooms out to keep a block that has flown off in view', () => {
+    const camera = buildCamera()
+    const engine = buildEngine()
+    engine.blocks[1].x = 5000
+    camera.update(engine)
+
+    const view = camera.view()
+    assert.ok(camera.zoom < 1)
+    assert.ok(view.left <= engine.wallPosition - 20)
+    assert.ok(view.right >= engine.blocks[1].getRight())
+  })
+
+  test('stops following once the user zooms', () => {
+    const camera = buildCamera()
+    camera.canvas.getBoundingClientRect = () => ({ left: 0, width: 800 })
+    camera.handleWheel({ preventDefault() {}, clientX: 400, deltaY: -500 })
+    assert.equal(camera.follow, false)
+    assert.ok(camera.zoom > 1)
+    assert.ok(Math.abs(camera.toWorldX(400) - 400) < 1e-9) // zoomed about the cursor
+  })
+})
@@ -0,0 +1,38 @@
+import { test, describe } from "node:test"
+import assert from "node:assert/strict"
+import { Block, PhysicsEngine, PiDigits } from "../../app/javascript/simulation/physics_engine.js"
+import { digitsSetup, massInputValue, MAX_DIGITS } from "../../app/javascript/simulation/digits_mode.js"
+
+describe('digits of π mode', () => {
+  test('counts out the chosen digits', () => {
+    for (let digits = 1; digits <= 6; digits++) {
+      const setup = digitsSetup(digits)
+      const engine = new PhysicsEngine(50)
+      engine.recordHistory = false
+      engine.addBlock(new Block(60, 0, 30, 0, setup.mass1, 0))
+      engine.addBlock(new Block(630, 0, 120, 0, setup.mass2, setup.velocity))
+      engine.setArithmetic(setup.arithmetic)
+      engine.runToCompletion()
+      assert.equal(String(engine.collisionCount), PiDigits.first(digits))
+    }
+  })
+
+  test('slows short runs down and computes long ones', () => {
+    assert.equal(digitsSetup(2).slowMotion, true)
+    assert.equal(digitsSetup(5).slowMotion, false)
+    assert.equal(digitsSetup(5).compute, false)
+    assert.equal(digitsSetup(MAX_DIGITS).compute, true)
+    assert.equal(digitsSetup(0), null)
+    assert.equal(digitsSetup(MAX_DIGITS + 1), null)
+    assert.equal(digitsSetup(NaN), null)
+  })
+
+  test('shows large masses in scientific notation', () => {
+    assert.equal(massInputValue(10000), '10000')
+    assert.equal(massInputValue(1e10), '1e10')
+    assert.equal(Block.formatMass(100), '100')
+    assert.equal(Block.formatMass(1e10), '1×10¹⁰')
+    assert.equal(Block.formatMass(2.5e7), '2.5×10⁷')
+    assert.equal(Block.formatMass(1e-5), '1×10⁻⁵')
+  })
+})
@@ -0,0 +1,42 @@
+import { test, describe } from "node:test"
+import assert from "node:assert/strict"
+import { findShortcut, SHORTCUTS } from "../../app/javascript/simulation/keyboard_shortcuts.js"
+
+function keydown(key, target = { tagName: 'BODY' }, modifiers = {}) {
+  return { key, target, ...modifiers }
+}
+
+describe('keyboard shortcuts', () => {
+  test('maps keys to actions whatever the case', () => {
+    assert.equal(findShortcut(keydown(' ')).action, 'togglePlay')
+    assert.equal(findShortcut(keydown('R')).control, 'resetBtn')
+    assert.equal(findShortcut(keydown('ArrowRight')).control, 'stepForwardBtn')
+    assert.equal(findShortcut(keydown('=')).step, 1)
+    assert.equal(findShortcut(keydown('?')).action, 'help')
+    assert.equal(findShortcut(keydown('x')), null)
+  })
+
+  test('stays out of the way while typing and of browser shortcuts', () => {
+    const number = { tagName: 'INPUT', type: 'number' }
+    assert.equal(findShortcut(keydown('r', number)), null)
+    assert.equal(findShortcut(keydown(' ', number)), null)
+    assert.equal(findShortcut(keydown('r', { tagName: 'DIV', isContentEditable: true })), null)
+    assert.equal(findShortcut(keydown('r', { tagName: 'BODY' }, { ctrlKey: true })), null)
+  })
+
+  test('leaves focused controls their own keys', () => {
+    const slider = { tagName: 'INPUT', type: 'range' }
+    const checkbox = { tagName: 'INPUT', type: 'checkbox' }
+    const button = { tagName: 'BUTTON' }
+    assert.equal(findShortcut(keydown('ArrowRight', slider)), null)
+    assert.equal(findShortcut(keydown('m', slider)).control, 'mute')
+    assert.equal(findShortcut(keydown(' ', checkbox)), null)
+    assert.equal(findShortcut(keydown(' ', button)), null)
+    assert.equal(findShortcut(keydown('r', button)).control, 'resetBtn')
+  })
+
+  test('gives every key to one shortcut only', () => {
+    const keys = SHORTCUTS.flatMap(shortcut => shortcut.keys)
+    assert.equal(new Set(keys).size, keys.length)
+  })
+})
@@ -0,0 +1,83 @@
+import { test, describe } from "node:test"
+import assert from "node:assert/strict"
+import { Block, PhysicsEngine } from "../../app/javascript/simulation/physics_engine.js"
+import MassRatioSweep, { sweepRatios, classicConfig, sweepToCSV } from "../../app/javascript/simulation/mass_ratio_sweep.js"
+
+// As the collision worker builds it
+function buildEngine(config) {
+  const engine = new PhysicsEngine(config.wallPosition)
+  engine.recordHistory = false
+  engine.boundary = config.boundary
+  config.blocks.forEach(block => {
+    engine.addBlock(new Block(block.x, 0, block.width, 0, block.mass, block.velocity))
+  })
+  engine.setArithmetic(config.arithmetic)
+  return engine
+}
+
+describe('mass-ratio sweep', () => {
+  test('spaces ratios on a log or a linear scale', () => {
+    assert.deepEqual(sweepRatios({ spacing: 'log', from: 1, to: 1e12, runs: 7 }),
+      [1, 100, 1e4, 1e6, 1e8, 1e10, 1e12])
+    assert.deepEqual(sweepRatios({ spacing: 'linear', from: 10, to: 50, runs: 5 }), [10, 20, 30, 40, 50])
+    assert.deepEqual(sweepRatios({ spacing: 'log', from: 16, to: 16, runs: 1 }), [16])
+  })
+
+  test('rejects empty and oversized ranges', () => {
+    assert.equal(sweepRatios({ spacing: 'log', from: 0, to: 100, runs: 3 }), null)
+    assert.equal(sweepRatios({ spacing: 'log', from: 100, to: 1, runs: 3 }), null)
+    assert.equal(sweepRatios({ spacing: 'linear', from: 1, to: 100, runs: 0 }), null)
+    assert.equal(sweepRatios({ spacing: 'linear', from: 1, to: 100, runs: 51 }), null)
+  })
+
+  test('runs the classic setup to the predicted count', () => {
+    [100, 1e4, 1e6].forEach(ratio => {
+      const engine = buildEngine(classicConfig(1, ratio, -100, 'float'))
+      engine.runToCompletion()
+      assert.equal(engine.collisionCount, PhysicsEngine.predictCollisionCount(1, ratio, -100))
+    })
+  })
+
+  test('runs the collision worker and fails when a run does', async () => {
+    // The real worker script behind a stand-in for the Worker class
+    globalThis.self = {}
+    await import("../../app/javascript/simulation/collision_worker.js")
+    const script = globalThis.self
+    globalThis.Worker = class {
+      constructor() {
+        script.postMessage = message => this.onmessage({ data: message })
+      }
+
+      postMessage(data) {
+        script.onmessage({ data })
+      }
+
+      terminate() {}
+    }
+
+    try {
+      const engineUrl = new URL("../../app/javascript/simulation/physics_engine.js", import.meta.url).href
+      const counts = []
+      await new MassRatioSweep('collision_worker.js', engineUrl)
+        .run([classicConfig(1, 100, -100, 'float')], (i, message) => counts.push(message.collisionCount))
+      assert.deepEqual(counts, [31])
+
+      const missing = new URL('missing_engine.js', engineUrl).href
+      await assert.rejects(
+        new MassRatioSweep('collision_worker.js', missing).run([classicConfig(1, 100, -100, 'float')], () => {}),
+        /missing_engine/
+      )
+    } finally {
+      delete globalThis.self
+      delete globalThis.Worker
+    }
+  })
+
+  test('writes finished runs as CSV', () => {
+    const rows = [
+      { ratio: 100, mass1: 1, mass2: 100, collisions: 31, predicted: 31, runtime: 0.42 },
+      { ratio: 1e4, mass1: 1, mass2: 1e4, collisions: null, predicted: 314, runtime: null }
+    ]
+    assert.equal(sweepToCSV(rows), 'ratio,mass1,mass2,collisions,predicted,runtime_ms\n100,1,100,31,31,0.4\n')
+  })
+})
@@ -0,0 +1,516 @@
+import { test, describe } from "node:test"
+import assert from "node:assert/strict"
+import { Block, PhysicsEngine } from "../../app/javascript/simulation/physics_engine.js"
+
+// Mirrors the page layout: wall at 50, small block at rest beside it and
+// the large block coming in from the right
+function buildEngine(mass2, { solver = 'event', arithmetic = 'float' } = {}) {
+  const engine = new PhysicsEngine(50)
+  engine.solver = solver
+  engine.addBlock(new Block(60, 190, 30, 60, 1, 0, '#3498db'))
+  engine.addBlock(new Block(630, 190, 120, 60, mass2, -100, '#e74c3c'))
+  engine.setArithmetic(arithmetic)
+  return engine
+}
+
+function runFrames(engine, maxFrames = 100000) {
+  for (let frame = 0; frame < maxFrames; frame++) {
+    if (engine.isSimulationComplete() && engine.collisionCount > 0) return
+    engine.update(1 / 60)
+  }
+  throw new Error('Simulation did not complete')
+}
+
+const KNOWN_COUNTS = [
+  [1, 3],
+  [100, 31],
+  [1e4, 314],
+  [1e6, 3141]
+]
+
+describe('collision counts', () => {
+  KNOWN_COUNTS.forEach(([mass2, expected]) => {
+    test(`1:${mass2} gives ${expected} collisions frame by frame`, () => {
+      const engine = buildEngine(mass2)
+      runFrames(engine)
+      assert.equal(engine.collisionCount, expected)
+      assert.equal(engine.wallCollisions + engine.blockCollisions, expected)
+    })
+
+    test(`1:${mass2} gives ${expected} collisions run headless`, () => {
+      const engine = buildEngine(mass2)
+      engine.runToCompletion()
+      assert.equal(engine.collisionCount, expected)
+    })
+
+    test(`1:${mass2} matches the analytic prediction`, () => {
+      assert.equal(PhysicsEngine.predictCollisionCount(1, mass2, -100), expected)
+    })
+  })
+
+  test('every collision is reported as it is recorded', () => {
+    const engine = buildEngine(100)
+    const types = []
+    engine.onCollisionRecorded = entry => types.push(entry.type)
+    engine.runToCompletion()
+    assert.equal(types.length, 31)
+    assert.equal(types.filter(type => type === 'wall').length, engine.wallCollisions)
+  })
+
+  test('exact arithmetic agrees with float64 for 1:10^4', () => {
+    const engine = buildEngine(1e4, { arithmetic: 'exact' })
+    engine.runToCompletion()
+    assert.equal(engine.collisionCount, 314)
+    assert.equal(engine.floatDivergence, null)
+  })
+})
+
+describe('conservation laws', () => {
+  test('kinetic energy is conserved across every collision', () => {
+    const engine = buildEngine(1e4)
+    const initialEnergy = engine.getKineticEnergy()
+    engine.runToCompletion()
+
+    engine.collisionHistory.forEach(entry => {
+      assert.ok(
+        Math.abs(entry.kineticEnergy - initialEnergy) / initialEnergy < 1e-9,
+        `energy drifted to ${entry.kineticEnergy} at collision ${entry.index}`
+      )
+    })
+  })
+
+  test('momentum is conserved by block collisions and changed only by the wall', () => {
+    const engine = buildEngine(1e4)
+    const initialMomentum = engine.getMomentum()
+    let momentum = initialMomentum
+    engine.runToCompletion()
+
+    engine.collisionHistory.forEach(entry => {
+      if (entry.type === 'blocks') {
+        assert.ok(
+          Math.abs(entry.momentum - momentum) <= 1e-9 * Math.abs(initialMomentum),
+          `momentum changed in block collision ${entry.index}`
+        )
+      }
+      momentum = entry.momentum
+    })
+  })
+})
+
+describe('completion detection', () => {
+  test('is not complete while the large block approaches', () => {
+    const engine = buildEngine(100)
+    assert.equal(engine.isSimulationComplete(), false)
+    assert.notEqual(engine.findNextCollision(), null)
+  })
+
+  test('is complete once no further collision is possible', () => {
+    const engine = buildEngine(100)
+    engine.runToCompletion()
+    assert.equal(engine.isSimulationComplete(), true)
+    assert.equal(engine.findNextCollision(), null)
+  })
+
+  test('stays complete and counts nothing more when stepped further', () => {
+    const engine = buildEngine(100)
+    runFrames(engine)
+    const count = engine.collisionCount
+    for (let frame = 0; frame < 600; frame++) engine.update(1 / 60)
+    assert.equal(engine.collisionCount, count)
+    assert.equal(engine.isSimulationComplete(), true)
+  })
+})
+
+describe('text description', () => {
+  test('describes the walls, each block and the count', () => {
+    const engine = buildEngine(1e10)
+    assert.equal(engine.describe(),
+      'Fixed wall at x = 50. Block 1, mass 1, at x = 60, at rest. ' +
+      'Block 2, mass 1×10¹⁰, at x = 630, moving left at 100 px/s. 0 collisions after 0.00 s.')
+
+    engine.runToCompletion(null, 1)
+    assert.match(engine.describe(), /Block 1, mass 1, at x = 60, moving left at 200 px\/s\..* 1 collision after 5\.40 s\.$/)
+  })
+})
+
+describe('block chains', () => {
+  // Three equal blocks: the impulse passes down the chain, bounces off the
+  // wall and passes back, leaving only the rightmost block moving
+  function buildChain(arithmetic = 'float') {
+    const engine = new PhysicsEngine(50)
+    engine.addBlock(new Block(60, 190, 30, 60, 1, 0))
+    engine.addBlock(new Block(200, 190, 30, 60, 1, 0))
+    engine.addBlock(new Block(400, 190, 30, 60, 1, -100))
+    engine.setArithmetic(arithmetic)
+    return engine
+  }
+
+  test('a three-block chain completes with the impulse handed back', () => {
+    ['float', 'exact'].forEach(arithmetic => {
+      const engine = buildChain(arithmetic)
+      engine.runToCompletion()
+      assert.equal(engine.collisionCount, 5)
+      assert.equal(engine.wallCollisions, 1)
+      assert.deepEqual(engine.blocks.map(block => block.velocity), [0, 0, 100])
+      assert.equal(engine.isSimulationComplete(), true)
+    })
+  })
+
+  test('is not complete while an inner pair is still closing', () => {
+    const engine = new PhysicsEngine(50)
+    engine.addBlock(new Block(60, 190, 30, 60, 1, 0))
+    engine.addBlock(new Block(200, 190, 30, 60, 1, 50))
+    engine.addBlock(new Block(400, 190, 30, 60, 1, 20))
+    assert.equal(engine.isSimulationComplete(), false)
+  })
+
+  test('frame-by-frame and headless runs agree on a chain', () => {
+    const build = () => {
+      const engine = new PhysicsEngine(50)
+      engine.addBlock(new Block(60, 190, 30, 60, 1, 0))
+      engine.addBlock(new Block(200, 190, 40, 60, 100, 0))
+      engine.addBlock(new Block(400, 190, 60, 60, 10000, -100))
+      return engine
+    }
+    const headless = build()
+    headless.runToCompletion()
+    const animated = build()
+    runFrames(animated)
+    assert.equal(animated.collisionCount, headless.collisionCount)
+  })
+})
+
+describe('boundary modes', () => {
+  function buildSingle(boundary, velocity, setup = () => {}) {
+    const engine = new PhysicsEngine(50)
+    engine.boundary = boundary
+    setup(engine)
+    engine.addBlock(new Block(200, 190, 30, 60, 4, velocity))
+    return engine
+  }
+
+  test('a box repeats the starting velocities of equal masses every 4 collisions', () => {
+    ['float', 'exact'].forEach(arithmetic => {
+      const engine = new PhysicsEngine(50)
+      engine.boundary = 'box'
+      engine.rightWallPosition = 750
+      engine.addBlock(new Block(60, 190, 30, 60, 1, 0))
+      engine.addBlock(new Block(630, 190, 120, 60, 1, -100))
+      engine.setArithmetic(arithmetic)
+
+      engine.runToCompletion(null, 400)
+      assert.equal(engine.collisionCount, 400)
+      assert.equal(engine.period, 4)
+      assert.equal(engine.recurrences, 100)
+      assert.equal(engine.runsForever(), true)
+      assert.equal(engine.isSimulationComplete(), false)
+    })
+  })
+
+  test('a moving wall returns a block at 2u - v', () => {
+    const engine = buildSingle('moving', -100, e => { e.wallVelocity = 20 })
+    engine.runToCompletion()
+    assert.equal(engine.wallCollisions, 1)
+    assert.equal(engine.blocks[0].velocity, 140)
+    assert.equal(engine.isSimulationComplete(), true)
+  })
+
+  test('a wall moving into blocks that friction slows never runs out of collisions', () => {
+    const engine = buildEngine(100)
+    engine.boundary = 'moving'
+    engine.wallVelocity = 20
+    engine.friction = 0.01
+    assert.equal(engine.runsForever(), true)
+    engine.runToCompletion(null, 1000)
+    assert.equal(engine.collisionCount, 1000)
+    assert.equal(engine.isSimulationComplete(), false)
+
+    engine.wallVelocity = -20
+    assert.equal(engine.runsForever(), false)
+  })
+
+  test('without walls the classic setup ends after one collision', () => {
+    const engine = buildEngine(100)
+    engine.boundary = 'none'
+    engine.runToCompletion()
+    assert.equal(engine.collisionCount, 1)
+    assert.equal(engine.wallCollisions, 0)
+  })
+
+  test('a spring wall returns a lone block after half an oscillation', () => {
+    ['float', 'exact'].forEach(arithmetic => {
+      const engine = buildSingle('spring', -100, e => { e.springStiffness = 400 })
+      engine.setArithmetic(arithmetic)
+      engine.runToCompletion()
+
+      // Reaches the rest line after 1.5 s, then stays π·√(m/k) on the spring
+      assert.equal(engine.wallCollisions, 1)
+      assert.equal(engine.blocks[0].velocity, 100)
+      assert.ok(Math.abs(engine.time - (1.5 + Math.PI * Math.sqrt(4 / 400))) < 1e-9)
+    })
+  })
+
+  test('a spring wall conserves energy once every block has left it', () => {
+    const engine = buildEngine(100)
+    engine.boundary = 'spring'
+    engine.springStiffness = 2 * engine.getKineticEnergy() / 15 ** 2
+    const initialEnergy = engine.getKineticEnergy()
+    engine.runToCompletion()
+
+    assert.equal(engine.isSimulationComplete(), true)
+    assert.ok(Math.abs(engine.getKineticEnergy() - initialEnergy) / initialEnergy < 1e-9)
+  })
+})
+
+describe('energy loss', () => {
+  test('an inelastic impact keeps momentum and loses ½μΔv²(1 − e²)', () => {
+    const engine = new PhysicsEngine(50)
+    engine.boundary = 'none'
+    engine.restitution = 0.5
+    engine.addBlock(new Block(100, 190, 30, 60, 1, 0))
+    engine.addBlock(new Block(300, 190, 30, 60, 3, -40))
+    const momentum = engine.getMomentum()
+    engine.runToCompletion()
+
+    const reducedMass = 1 * 3 / 4
+    assert.equal(engine.collisionCount, 1)
+    assert.ok(Math.abs(engine.getMomentum() - momentum) < 1e-9)
+    assert.ok(Math.abs(engine.getEnergyLost() - 0.5 * reducedMass * 40 ** 2 * (1 - 0.25)) < 1e-9)
+  })
+
+  test('restitution just below 1 already changes the count', () => {
+    ['float', 'exact'].forEach(arithmetic => {
+      const engine = buildEngine(1e4, { arithmetic })
+      engine.restitution = 0.99
+      engine.wallRestitution = 0.99
+      engine.runToCompletion()
+      assert.equal(engine.collisionCount, 363)
+      assert.equal(engine.isConservative(), false)
+    })
+  })
+
+  test('perfectly inelastic blocks stop against the wall instead of bouncing forever', () => {
+    const engine = buildEngine(1e4)
+    engine.restitution = 0
+    engine.wallRestitution = 0
+    engine.runToCompletion()
+    assert.equal(engine.collisionCount, 3)
+    assert.deepEqual(engine.blocks.map(block => block.velocity), [0, 0])
+    assert.ok(Math.abs(engine.getEnergyLost() - 0.5 * 1e4 * 100 ** 2) < 1e-3)
+  })
+
+  test('elastic blocks against a lossy wall finish instead of bouncing forever', () => {
+    [0.5, 0].forEach(wallRestitution => {
+      const engine = buildEngine(1e4)
+      engine.wallRestitution = wallRestitution
+      engine.runToCompletion(null, 1e6)
+      assert.equal(engine.isSimulationComplete(), true)
+      assert.ok(engine.collisionCount < 1e6)
+      assert.equal(engine.blocks[0].velocity, 0)
+    })
+  })
+
+  test('a heavy block pressing a light one into a lossy wall takes the impact as one body', () => {
+    [0, 0.5, 1].forEach(restitution => {
+      const engine = buildEngine(1e6)
+      engine.restitution = restitution
+      engine.wallRestitution = 0.5
+      const energy = engine.getKineticEnergy()
+      engine.runToCompletion(null, 1e6)
+
+      assert.equal(engine.isSimulationComplete(), true)
+      assert.ok(engine.collisionCount < 100)
+      assert.ok(engine.time < 5.51)
+      assert.equal(engine.blocks[0].velocity, 0)
+      assert.ok(Math.abs(energy - engine.getKineticEnergy() - engine.getEnergyLost()) < energy * 1e-9)
+    })
+  })
+
+  test('friction stops a sliding block after v²/(2μg) and takes all its energy', () => {
+    const engine = new PhysicsEngine(50)
+    engine.boundary = 'none'
+    engine.friction = 0.1
+    engine.addBlock(new Block(100, 190, 30, 60, 2, 98.1))
+    engine.advance(10)
+
+    assert.equal(engine.blocks[0].velocity, 0)
+    assert.ok(Math.abs(engine.blocks[0].x - (100 + 98.1 ** 2 / (2 * 98.1))) < 1e-9)
+    assert.ok(Math.abs(engine.frictionLoss - 0.5 * 2 * 98.1 ** 2) < 1e-9)
+  })
+
+  test('a block that stops short of the wall never reaches it', () => {
+    const engine = buildEngine(100)
+    engine.friction = 0.01 // stops after about 510 px, short of the 540 px gap
+    assert.equal(engine.findNextCollision(), null)
+    assert.equal(engine.isSimulationComplete(), true)
+  })
+
+  test('frame-by-frame and headless runs agree with friction', () => {
+    const headless = buildEngine(100)
+    headless.friction = 0.001
+    headless.runToCompletion()
+    const animated = buildEngine(100)
+    animated.friction = 0.001
+    runFrames(animated)
+    assert.equal(animated.collisionCount, headless.collisionCount)
+  })
+})
+
+describe('timeline', () => {
+  function stateOf(engine) {
+    return engine.blocks.map(block => [block.x, block.velocity])
+  }
+
+  function assertSameState(actual, expected) {
+    actual.forEach(([x, velocity], i) => {
+      assert.ok(Math.abs(x - expected[i][0]) < 1e-6, `x${i + 1}: ${x} vs ${expected[i][0]}`)
+      assert.ok(Math.abs(velocity - expected[i][1]) < 1e-6, `v${i + 1}: ${velocity} vs ${expected[i][1]}`)
+    })
+  }
+
+  test('seeking back reproduces every earlier moment, springs and friction included', () => {
+    const setups = [
+      engine => engine,
+      engine => { engine.friction = 0.001 },
+      engine => { engine.boundary = 'spring'; engine.springStiffness = 2 * engine.getKineticEnergy() / 15 ** 2 }
+    ]
+
+    setups.forEach(setup => {
+      const recorded = buildEngine(100)
+      setup(recorded)
+      recorded.runToCompletion()
+      const end = stateOf(recorded)
+      const duration = recorded.time
+
+      // The impacts all come in the last twentieth of the run
+      const fractions = [0, 0.5, 0.96, 0.97, 0.98, 0.99, 0.999]
+      fractions.forEach(fraction => {
+        const time = fraction * duration
+        const live = buildEngine(100)
+        setup(live)
+        live.stepEvents(time)
+
+        recorded.seek(time)
+        assert.equal(recorded.collisionCount, live.collisionCount)
+        assertSameState(stateOf(recorded), stateOf(live))
+      })
+
+      recorded.seek(Infinity)
+      assert.equal(recorded.isReplaying(), false)
+      assert.deepEqual(stateOf(recorded), end)
+    })
+  })
+
+  test('stepping moves exactly one collision at a time in either direction', () => {
+    const engine = buildEngine(100)
+    for (let n = 1; n <= 10; n++) {
+      assert.equal(engine.stepCollision(), true)
+      assert.equal(engine.collisionCount, n)
+    }
+    const tenth = stateOf(engine)
+
+    for (let n = 9; n >= 0; n--) {
+      engine.seekCollision(n)
+      assert.equal(engine.collisionCount, n)
+      assert.equal(engine.time, engine.keyframes.find(keyframe => keyframe.collisionCount === n).time)
+    }
+    assertSameState(stateOf(engine), [[60, 0], [630, -100]])
+
+    engine.seekCollision(10)
+    assert.deepEqual(stateOf(engine), tenth)
+
+    // Between collisions, stepping back lands on the last one passed
+    const [fourth, fifth] = [4, 5].map(n => engine.keyframes[engine.collisionKeyframeIndex(n)].time)
+    engine.seek((fourth + fifth) / 2)
+    engine.seekPreviousCollision()
+    assert.equal(engine.collisionCount, 4)
+    engine.seekPreviousCollision()
+    assert.equal(engine.collisionCount, 3)
+
+    engine.seekCollision(11)
+    assert.equal(engine.isReplaying(), false)
+    assert.equal(engine.collisionCount, 11)
+  })
+})
+
+describe('long runs', () => {
+  test('spark effects stay bounded however many collisions are recorded', () => {
+    const engine = buildEngine(1e6)
+    engine.runToCompletion()
+    assert.equal(engine.collisionHistory.length, 3141)
+    assert.ok(engine.effects.length <= 64)
+  })
+
+  test('the log keeps every collision, the keyframes stay bounded and seeking still lands on every collision', () => {
+    const engine = buildEngine(1e8)
+    const entries = []
+    engine.onCollisionRecorded = entry => entries.push(entry)
+    engine.runToCompletion()
+    assert.equal(engine.collisionCount, 31415)
+    assert.equal(engine.collisionHistory.length, 31415)
+    assert.deepEqual(engine.collisionHistory.at(31414), entries[31414])
+    const { index, type, side, time, blocks } = engine.collisionHistory.at(1)
+    assert.deepEqual({ index, type, side, time }, { index: 2, type: 'wall', side: 'left', time: 5.4500000005 })
+    assert.deepEqual(blocks.map(block => [block.mass, block.x]), [[1, 50], [1e8, 85.00000005]])
+    assert.ok(engine.keyframes.length <= 1024)
+
+    const live = buildEngine(1e8)
+    for (let n = 0; n < 20001; n++) live.stepCollision()
+    engine.seekCollision(20001)
+    assert.equal(engine.collisionCount, 20001)
+    assert.equal(engine.time, live.time)
+    assert.deepEqual(engine.blocks.map(block => block.velocity), live.blocks.map(block => block.velocity))
+
+    engine.seekPreviousCollision()
+    assert.equal(engine.collisionCount, 20000)
+    engine.seek(Infinity)
+    assert.equal(engine.collisionCount, 31415)
+  })
+
+  test('a long fixed-step run keeps only its latest keyframes and seeks no further back', () => {
+    const engine = new PhysicsEngine(50)
+    engine.solver = 'fixed'
+    engine.boundary = 'box'
+    engine.rightWallPosition = 750
+    engine.addBlock(new Block(60, 190, 30, 60, 1, 0))
+    engine.addBlock(new Block(630, 190, 120, 60, 1, -20000))
+    for (let frame = 0; frame < 6000; frame++) engine.update(1 / 60)
+    assert.equal(engine.keyframes.length, 1024)
+
+    const earliest = engine.keyframes[0]
+    assert.ok(engine.earliestRecordedTime() > 0)
+    engine.seek(0)
+    assert.equal(engine.time, earliest.time)
+    engine.seekCollision(0)
+    assert.equal(engine.collisionCount, earliest.collisionCount)
+
+    const count = engine.recordedCollisions()
+    engine.seek(Infinity)
+    assert.equal(engine.collisionCount, count)
+  })
+
+  test('exact keyframes hold float64 state only and the run resumes exactly', () => {
+    const engine = buildEngine(1e6, { arithmetic: 'exact' })
+    engine.runToCompletion()
+    assert.ok(engine.keyframes.every(keyframe => keyframe.exactVelocity === null))
+
+    const end = engine.blocks.map(block => block.exactVelocity.toString())
+    engine.seekCollision(1000)
+    assert.equal(engine.collisionCount, 1000)
+    engine.seek(Infinity)
+    assert.equal(engine.collisionCount, 3141)
+    assert.deepEqual(engine.blocks.map(block => block.exactVelocity.toString()), end)
+  })
+
+  test('an update stops once its frame budget is spent', () => {
+    const engine = buildEngine(1e8)
+    engine.frameBudget = 0
+    const covered = engine.stepEvents(10)
+    assert.ok(covered < 10)
+    assert.equal(engine.collisionCount, 256)
+
+    engine.frameBudget = Infinity
+    engine.runToCompletion()
+    assert.equal(engine.collisionCount, 31415)
+  })
+})
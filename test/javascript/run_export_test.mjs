@@ -0,0 +1,43 @@
+import { test, describe } from "node:test"
+import assert from "node:assert/strict"
+import { createZip, crc32, seededRandom } from "../../app/javascript/simulation/run_export.js"
+
+const encoder = new TextEncoder()
+
+describe('run export', () => {
+  test('computes the standard CRC-32 check value', () => {
+    assert.equal(crc32(encoder.encode('123456789')), 0xCBF43926)
+  })
+
+  test('stores frames in a zip archive with a central directory', () => {
+    const frames = [
+      { name: 'frame-00000.png', data: encoder.encode('first') },
+      { name: 'frame-00001.png', data: encoder.encode('second!') }
+    ]
+    const zip = createZip(frames)
+    const view = new DataView(zip.buffer)
+
+    assert.equal(view.getUint32(0, true), 0x04034b50)
+    assert.equal(view.getUint32(14, true), crc32(frames[0].data))
+    assert.equal(new TextDecoder().decode(zip.subarray(30, 45)), 'frame-00000.png')
+    assert.equal(new TextDecoder().decode(zip.subarray(45, 50)), 'first')
+
+    const end = zip.length - 22
+    assert.equal(view.getUint32(end, true), 0x06054b50)
+    assert.equal(view.getUint16(end + 10, true), 2)
+    const centralStart = view.getUint32(end + 16, true)
+    assert.equal(view.getUint32(centralStart, true), 0x02014b50)
+    assert.equal(centralStart + view.getUint32(end + 12, true), end)
+
+    assert.deepEqual(createZip(frames), zip)
+  })
+
+  test('gives the same random sequence for the same seed', () => {
+    const a = seededRandom(1)
+    const b = seededRandom(1)
+    const values = Array.from({ length: 100 }, () => a())
+    assert.deepEqual(Array.from({ length: 100 }, () => b()), values)
+    assert.ok(values.every(value => value >= 0 && value < 1))
+    assert.notEqual(seededRandom(2)(), values[0])
+  })
+})
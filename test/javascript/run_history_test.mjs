@@ -0,0 +1,90 @@
+import { test, describe } from "node:test"
+import assert from "node:assert/strict"
+import RunHistory, { compareRuns, MAX_HISTORY } from "../../app/javascript/simulation/run_history.js"
+
+function memoryStorage() {
+  const items = new Map()
+  return {
+    getItem: key => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, value)
+  }
+}
+
+function run(collisionCount, overrides = {}) {
+  return {
+    settings: { m1: '1', m2: '100', v: '-100', e: '1', ew: '1', mu: '0' },
+    label: '1 : 100',
+    boundary: 'wall',
+    solver: 'event',
+    arithmetic: 'float',
+    mode: 'animated',
+    collisionCount: collisionCount,
+    wallCollisions: Math.ceil(collisionCount / 2),
+    blockCollisions: Math.floor(collisionCount / 2),
+    energyLost: 0,
+    predicted: 31,
+    pi: { digits: String(collisionCount), matching: 2 },
+    simulatedTime: 5.4,
+    runTime: 2500,
+    ...overrides
+  }
+}
+
+describe('run history', () => {
+  test('keeps runs newest first across page loads', () => {
+    const storage = memoryStorage()
+    const history = new RunHistory(storage)
+    const first = history.add(run(31))
+    history.add(run(314))
+
+    const reloaded = new RunHistory(storage)
+    assert.deepEqual(reloaded.runs.map(entry => entry.collisionCount), [314, 31])
+    assert.equal(reloaded.find(first.id).collisionCount, 31)
+
+    reloaded.remove(first.id)
+    assert.deepEqual(new RunHistory(storage).runs.map(entry => entry.collisionCount), [314])
+  })
+
+  test('drops the oldest runs past the limit', () => {
+    const history = new RunHistory(memoryStorage())
+    for (let i = 0; i < MAX_HISTORY + 5; i++) history.add(run(i))
+    assert.equal(history.runs.length, MAX_HISTORY)
+    assert.equal(history.runs[0].collisionCount, MAX_HISTORY + 4)
+  })
+
+  test('carries on without storage', () => {
+    const broken = {
+      getItem: () => '{not json',
+      setItem: () => { throw new Error('QuotaExceededError') }
+    }
+    const history = new RunHistory(broken)
+    assert.deepEqual(history.runs, [])
+    history.add(run(31))
+    assert.equal(history.runs.length, 1)
+  })
+
+  test('falls back to memory when the page may not touch localStorage', () => {
+    globalThis.window = {
+      get localStorage() {
+        throw new Error('SecurityError')
+      }
+    }
+    try {
+      const history = new RunHistory()
+      history.add(run(31))
+      assert.equal(history.runs.length, 1)
+      assert.equal(history.load().length, 1)
+    } finally {
+      delete globalThis.window
+    }
+  })
+
+  test('marks the rows where two runs differ', () => {
+    const rows = compareRuns(run(31), run(30, { solver: 'fixed', pi: { digits: '30', matching: 1 } }))
+    const differs = label => rows.find(row => row.label === label).differs
+    assert.equal(differs('Setup'), false)
+    assert.equal(differs('Solver'), true)
+    assert.equal(differs('Collisions'), true)
+    assert.deepEqual(rows.find(row => row.label === 'π digits matched').values, ['2 of 2', '1 of 2'])
+  })
+})
@@ -0,0 +1,43 @@
+import { test, describe } from "node:test"
+import assert from "node:assert/strict"
+import { Block, PhysicsEngine } from "../../app/javascript/simulation/physics_engine.js"
+import TimeDilation, { formatSpeed } from "../../app/javascript/simulation/time_dilation.js"
+
+function buildEngine(mass2) {
+  const engine = new PhysicsEngine(50)
+  engine.addBlock(new Block(60, 190, 30, 60, 1, 0))
+  engine.addBlock(new Block(630, 190, 120, 60, mass2, -100))
+  return engine
+}
+
+describe('adaptive slow motion', () => {
+  test('runs at the chosen speed during free flight', () => {
+    const dilation = new TimeDilation()
+    assert.equal(dilation.update(buildEngine(1e4), 1, 1 / 60), 1)
+  })
+
+  test('slows down inside a burst and eases back up afterwards', () => {
+    const engine = buildEngine(1e4)
+    const dilation = new TimeDilation()
+    engine.runToCompletion(null, 150)
+
+    const slowed = dilation.update(engine, 1, 1 / 60)
+    assert.ok(slowed < 0.01, `rate ${slowed}`)
+
+    engine.runToCompletion()
+    const next = dilation.update(engine, 1, 1 / 60)
+    assert.ok(next > slowed && next < 1, `rate ${next}`)
+
+    let rate = next
+    for (let frame = 0; frame < 600 && rate < 1; frame++) {
+      rate = dilation.update(engine, 1, 1 / 60)
+    }
+    assert.equal(rate, 1)
+  })
+
+  test('formats the rate with two significant figures', () => {
+    assert.equal(formatSpeed(0.001), '×0.001')
+    assert.equal(formatSpeed(0.2468), '×0.25')
+    assert.equal(formatSpeed(2), '×2')
+  })
+})